@@ -334,7 +334,7 @@ function GestureManager( $element, options ) {
         velocityVars.startPosX = velocityVars.endPosX;
         velocityVars.startPosY = velocityVars.endPosY;
         velocityVars.endPosX = currentX;
-        velocityVars.endPosY = currentX;
+        velocityVars.endPosY = currentY;
 
         velocityVars.startTime = velocityVars.endTime || Date.now();
         velocityVars.endTime = Date.now();
@@ -24,6 +24,9 @@ import { slice } from '@creative-web-solution/front-library/Helpers/slice';
  * // Push a new state in the history
  * h.pushState( {data: 1}, 'The page title', '/path/page.html' )
  *
+ * // Replace the current state in the history
+ * h.replaceState( {data: 1}, 'The page title', '/path/page.html' )
+ *
  * // Return the current page state
  * h.getState()
  *
@@ -101,20 +104,8 @@ export function HistoryController( defaultTitle ) {
     }
 
 
-    /**
-     * Push a new state in the history
-     *
-     * @param {Object} state - Native browser state object
-     * @param {String} title
-     * @param {String} url
-     *
-     * @returns {HistoryController}
-     */
-    this.pushState = ( state, title, url ) => {
-        if ( !hasPushstate ) {
-            return this;
-        }
-
+    // method: pushState | replaceState
+    function changeState( method, state, title, url ) {
         url = url instanceof UrlParser ? url : new UrlParser( url );
 
         currentState = {
@@ -124,7 +115,7 @@ export function HistoryController( defaultTitle ) {
         };
 
         try {
-            $window.history.pushState(
+            $window.history[ method ](
                 state,
                 currentState.title,
                 currentState.url.absolute2
@@ -133,6 +124,44 @@ export function HistoryController( defaultTitle ) {
         catch ( e ) {
             console.log( e );
         }
+    }
+
+
+    /**
+     * Push a new state in the history
+     *
+     * @param {Object} state - Native browser state object
+     * @param {String} title
+     * @param {String} url
+     *
+     * @returns {HistoryController}
+     */
+    this.pushState = ( state, title, url ) => {
+        if ( !hasPushstate ) {
+            return this;
+        }
+
+        changeState( 'pushState', state, title, url );
+
+        return this;
+    }
+
+
+    /**
+     * Replace the current state in the history
+     *
+     * @param {Object} state - Native browser state object
+     * @param {String} title
+     * @param {String} url
+     *
+     * @returns {HistoryController}
+     */
+    this.replaceState = ( state, title, url ) => {
+        if ( !hasPushstate ) {
+            return this;
+        }
+
+        changeState( 'replaceState', state, title, url );
 
         return this;
     }
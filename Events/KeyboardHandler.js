@@ -29,6 +29,8 @@ import { extend } from '@creative-web-solution/front-library/Helpers/Extend';
  * @param {KeyboardHandler_Callback} [userOptions.onDown] - Called when pressing DOWN ARROW KEYS
  * @param {KeyboardHandler_Callback} [userOptions.onPageUp]
  * @param {KeyboardHandler_Callback} [userOptions.onPageDown]
+ * @param {KeyboardHandler_Callback} [userOptions.onHome]
+ * @param {KeyboardHandler_Callback} [userOptions.onEnd]
  * @param {KeyboardHandler_Callback} [userOptions.onPrevious] - Called when pressing LEFT or DOWN arrow keys
  * @param {KeyboardHandler_Callback} [userOptions.onNext] - Called when pressing RIGHT or UP arrow keys
  * @param {KeyboardHandler_Callback} [userOptions.onKey] - Called on every key
@@ -54,6 +56,8 @@ export function KeyboardHandler( $element, userOptions = {} ) {
     const TAB_KEY_CODE       = 9;
     const PAGE_UP_KEY_CODE   = 33;
     const PAGE_DOWN_KEY_CODE = 34;
+    const END_KEY_CODE       = 35;
+    const HOME_KEY_CODE      = 36;
     const ENTER_KEY_CODE     = 13;
     const SPACE_KEY_CODE     = 32;
     const ESCAPE_KEY_CODE    = 27;
@@ -72,6 +76,8 @@ export function KeyboardHandler( $element, userOptions = {} ) {
     EVENTS_NAME.set( DOWN_KEY_CODE,      () => [ 'onDown', 'onPrevious' ] );
     EVENTS_NAME.set( PAGE_UP_KEY_CODE,   () => [ 'onPageUp' ] );
     EVENTS_NAME.set( PAGE_DOWN_KEY_CODE, () => [ 'onPageDown' ] );
+    EVENTS_NAME.set( HOME_KEY_CODE,      () => [ 'onHome' ] );
+    EVENTS_NAME.set( END_KEY_CODE,       () => [ 'onEnd' ] );
     EVENTS_NAME.set( TAB_KEY_CODE,       e => {
         if ( e.shiftKey && OPTIONS[ 'onTabReverse' ] ) {
             return [ 'onTabReverse' ];
@@ -0,0 +1,214 @@
+import { extend } from '@creative-web-solution/front-library/Helpers/Extend';
+import { WindowEvents } from '@creative-web-solution/front-library/Events/WindowEvents';
+
+
+const defaultOptions = {
+    "placement": "bottom",
+    "offset": 0,
+    "padding": 0,
+    "flip": true,
+    "shift": true,
+    "matchWidth": false,
+    "onUpdate": null
+};
+
+// Shared by all the watched layers
+let windowEvents;
+
+
+function getWindowEvents() {
+    windowEvents = windowEvents || new WindowEvents( window );
+
+    return windowEvents;
+}
+
+
+/**
+ * Compute the position of a layer next to an anchor, in the viewport coordinates.
+ * The layer is flipped to the other side of the anchor if it has not enough room and if the other side has more,
+ * and shifted horizontally to stay in the viewport.
+ *
+ * @param {Object} anchorRect - { top, bottom, left }, like a getBoundingClientRect result
+ * @param {Object} layerSize - { width, height }
+ * @param {Object} viewportSize - { width, height }
+ * @param {Object} [userOptions]
+ * @param {String} [userOptions.placement=bottom] - bottom | top
+ * @param {Number} [userOptions.offset=0] - Space between the anchor and the layer
+ * @param {Number} [userOptions.padding=0] - Minimum space between the layer and the edges of the viewport
+ * @param {Boolean} [userOptions.flip=true]
+ * @param {Boolean} [userOptions.shift=true]
+ *
+ * @example { top, left, placement } = computeFloatingPosition( $field.getBoundingClientRect(), { "width": 200, "height": 300 }, { "width": 1024, "height": 768 } )
+ *
+ * @returns {Object} - { top, left, placement }
+ */
+export function computeFloatingPosition( anchorRect, layerSize, viewportSize, userOptions ) {
+    let placement, left;
+
+    const options = extend( defaultOptions, userOptions );
+
+    const SPACE = {
+        "bottom": viewportSize.height - anchorRect.bottom - options.offset - options.padding,
+        "top":    anchorRect.top - options.offset - options.padding
+    };
+
+    placement = options.placement === 'top' ? 'top' : 'bottom';
+
+    const OPPOSITE_PLACEMENT = placement === 'top' ? 'bottom' : 'top';
+
+    if ( options.flip && layerSize.height > SPACE[ placement ] && SPACE[ OPPOSITE_PLACEMENT ] > SPACE[ placement ] ) {
+        placement = OPPOSITE_PLACEMENT;
+    }
+
+    left = anchorRect.left;
+
+    if ( options.shift ) {
+        left = Math.max( Math.min( left, viewportSize.width - options.padding - layerSize.width ), options.padding );
+    }
+
+    return {
+        "top": placement === 'top' ? anchorRect.top - options.offset - layerSize.height : anchorRect.bottom + options.offset,
+        left,
+        placement
+    };
+}
+
+
+/**
+ * Position a layer next to an anchor element with computeFloatingPosition, and update it on resize and on scroll of the window or of a container of the anchor.
+ * The layer must be absolutely positioned (or fixed), in any container: for example in a portal on document.body
+ * to not be clipped by an overflow hidden parent.
+ * The placement is set in the data-placement attribute of the layer.
+ * @class
+ *
+ * @param {HTMLElement} $layer
+ * @param {HTMLElement} $anchor
+ * @param {Object} [userOptions]
+ * @param {String} [userOptions.placement=bottom] - bottom | top
+ * @param {Number} [userOptions.offset=0] - Space between the anchor and the layer
+ * @param {Number} [userOptions.padding=0] - Minimum space between the layer and the edges of the viewport
+ * @param {Boolean} [userOptions.flip=true]
+ * @param {Boolean} [userOptions.shift=true]
+ * @param {Boolean} [userOptions.matchWidth=false] - Set the width of the layer to the one of the anchor
+ * @param {Callback} [userOptions.onUpdate] - ({ top, left, placement }) => {}
+ *
+ * @example floating = new FloatingPosition( $layer, $field, { "offset": 4, "matchWidth": true } );
+ *
+ * // When the layer is displayed
+ * floating.start();
+ *
+ * // When the layer is hidden
+ * floating.stop();
+ */
+export function FloatingPosition( $layer, $anchor, userOptions ) {
+    let placement, isWatching;
+
+    const SELF    = this;
+    const options = extend( defaultOptions, userOptions );
+
+    placement  = options.placement;
+    isWatching = false;
+
+
+    function onWindowChange() {
+        SELF.update();
+    }
+
+
+    // Scroll of any scrollable container of the anchor (popin, accordion, ...). Scroll does not bubble, so it is listened in the capture phase
+    function onScroll( e ) {
+        if ( e.target !== document && e.target.contains( $anchor ) ) {
+            SELF.update();
+        }
+    }
+
+
+    Object.defineProperty( this, 'placement', {
+        "get": () => placement
+    } );
+
+
+    Object.defineProperty( this, 'isWatching', {
+        "get": () => isWatching
+    } );
+
+
+    /**
+     * Compute and apply the position of the layer
+     *
+     * @returns {FloatingPosition}
+     */
+    this.update = () => {
+        let anchorRect, originRect, position;
+
+        const STYLE = $layer.style;
+
+        anchorRect = $anchor.getBoundingClientRect();
+
+        if ( options.matchWidth ) {
+            STYLE.width = `${ anchorRect.width }px`;
+        }
+
+        // Position of the origin of the layer container, in the viewport
+        STYLE.top  = '0px';
+        STYLE.left = '0px';
+        originRect = $layer.getBoundingClientRect();
+
+        position = computeFloatingPosition(
+            anchorRect,
+            {
+                "width":  originRect.width,
+                "height": originRect.height
+            },
+            {
+                "width":  document.documentElement.clientWidth,
+                "height": document.documentElement.clientHeight
+            },
+            options
+        );
+
+        STYLE.top  = `${ position.top - originRect.top }px`;
+        STYLE.left = `${ position.left - originRect.left }px`;
+
+        placement = position.placement;
+        $layer.setAttribute( 'data-placement', placement );
+
+        if ( options.onUpdate ) {
+            options.onUpdate( position );
+        }
+
+        return this;
+    };
+
+
+    /**
+     * Update the position now, on each resize of the window and on each scroll of the window or of a container of the anchor
+     *
+     * @returns {FloatingPosition}
+     */
+    this.start = () => {
+        if ( !isWatching ) {
+            getWindowEvents().register( onWindowChange );
+            document.addEventListener( 'scroll', onScroll, true );
+            isWatching = true;
+        }
+
+        return this.update();
+    };
+
+
+    /**
+     * Stop updating the position on scroll and resize
+     *
+     * @returns {FloatingPosition}
+     */
+    this.stop = () => {
+        if ( isWatching ) {
+            getWindowEvents().remove( onWindowChange );
+            document.removeEventListener( 'scroll', onScroll, true );
+            isWatching = false;
+        }
+
+        return this;
+    };
+}
@@ -0,0 +1,276 @@
+const DIACRITICS = /[\u0300-\u036f]/g;
+
+const WORD_SEPARATOR = /[^a-z0-9]/;
+
+const SCORE_PREFIX = 4;
+const SCORE_WORD_START = 3;
+const SCORE_SUBSTRING = 2;
+const SCORE_FUZZY = 1;
+
+
+/**
+ * Normalize a string one character at a time and keep the index of the original character of each normalized one
+ * @ignore
+ *
+ * @param {String} text
+ *
+ * @returns {Object} - { text, indexes }
+ */
+function normalizeWithIndexes( text ) {
+    let normalizedText = '';
+    const indexes = [];
+
+    Array.from( text ).reduce( ( index, char ) => {
+        const normalizedChar = normalizeString( char );
+
+        for ( let i = 0; i < normalizedChar.length; ++i ) {
+            indexes.push( index );
+        }
+
+        normalizedText += normalizedChar;
+
+        return index + char.length;
+    }, 0 );
+
+    // End of the string
+    indexes.push( text.length );
+
+    return {
+        "text": normalizedText,
+        indexes
+    };
+}
+
+
+/**
+ * Merge the adjacent and overlapping ranges
+ * @ignore
+ *
+ * @param {Array[]} ranges - [ [ start, end ], ... ]
+ *
+ * @returns {Array[]}
+ */
+function mergeRanges( ranges ) {
+    return ranges
+        .slice()
+        .sort( ( a, b ) => a[ 0 ] - b[ 0 ] )
+        .reduce( ( merged, range ) => {
+            const last = merged[ merged.length - 1 ];
+
+            if ( last && range[ 0 ] <= last[ 1 ] ) {
+                last[ 1 ] = Math.max( last[ 1 ], range[ 1 ] );
+            }
+            else {
+                merged.push( range.slice() );
+            }
+
+            return merged;
+        }, [] );
+}
+
+
+/**
+ * Find the best match of one word in a normalized text
+ * @ignore
+ *
+ * @param {String} text - Normalized text
+ * @param {String} word - Normalized word
+ *
+ * @returns {Object|null} - { score, ranges }
+ */
+function matchWord( text, word ) {
+    let index, wordStartIndex, textIndex;
+    const fuzzyRanges = [];
+
+    index = text.indexOf( word );
+
+    if ( index === 0 ) {
+        return {
+            "score": SCORE_PREFIX,
+            "ranges": [ [ 0, word.length ] ]
+        };
+    }
+
+    if ( index > 0 ) {
+        wordStartIndex = index;
+
+        while ( wordStartIndex > -1 && !WORD_SEPARATOR.test( text[ wordStartIndex - 1 ] ) ) {
+            wordStartIndex = text.indexOf( word, wordStartIndex + 1 );
+        }
+
+        if ( wordStartIndex > -1 ) {
+            return {
+                "score": SCORE_WORD_START,
+                "ranges": [ [ wordStartIndex, wordStartIndex + word.length ] ]
+            };
+        }
+
+        return {
+            "score": SCORE_SUBSTRING,
+            "ranges": [ [ index, index + word.length ] ]
+        };
+    }
+
+    // All the characters of the word, in the same order
+    textIndex = 0;
+
+    for ( const char of word ) {
+        textIndex = text.indexOf( char, textIndex );
+
+        if ( textIndex === -1 ) {
+            return null;
+        }
+
+        fuzzyRanges.push( [ textIndex, textIndex + 1 ] );
+        textIndex++;
+    }
+
+    return {
+        "score": SCORE_FUZZY,
+        "ranges": mergeRanges( fuzzyRanges )
+    };
+}
+
+
+/**
+ * Lower case a string and remove its diacritics
+ *
+ * @param {String} text
+ *
+ * @example normalizeString( 'Crème Brûlée' ) // 'creme brulee'
+ *
+ * @returns {String}
+ */
+export function normalizeString( text ) {
+    return String( text ).normalize( 'NFD' ).replace( DIACRITICS, '' ).toLowerCase();
+}
+
+
+/**
+ * Match a query in a text, ignoring case and diacritics.
+ * Each word of the query must be found in the text: at the start of the text, at the start of a word, anywhere, or as a sequence of characters (fuzzy).
+ *
+ * @param {String} text
+ * @param {String} query
+ *
+ * @example match = fuzzyMatch( 'Crème brûlée', 'bru' )
+ * // { score: 3, ranges: [ [ 6, 9 ] ] }
+ *
+ * @returns {Object|null} - { score, ranges } with ranges as [ [ start, end ], ... ] in the original text, or null if it doesn't match
+ */
+export function fuzzyMatch( text, query ) {
+    let score, ranges;
+    const words = normalizeString( query ).split( /\s+/ ).filter( word => word );
+
+    if ( text === null || typeof text === 'undefined' || !words.length ) {
+        return null;
+    }
+
+    const NORMALIZED = normalizeWithIndexes( String( text ) );
+
+    score = 0;
+    ranges = [];
+
+    for ( const word of words ) {
+        const MATCH = matchWord( NORMALIZED.text, word );
+
+        if ( !MATCH ) {
+            return null;
+        }
+
+        score += MATCH.score;
+        ranges = ranges.concat( MATCH.ranges );
+    }
+
+    return {
+        score,
+        "ranges": mergeRanges( ranges.map( range => [
+            NORMALIZED.indexes[ range[ 0 ] ],
+            NORMALIZED.indexes[ range[ 1 ] ]
+        ] ) )
+    };
+}
+
+
+/**
+ * Filter and sort a list of objects with fuzzyMatch.
+ * The results are sorted by score, then by the order of the keys, then by the original order.
+ *
+ * @param {Object[]} list
+ * @param {String} query
+ * @param {String[]} [keys=['name']] - Properties of the objects where to search
+ *
+ * @example results = fuzzySearch( [ { name: 'Paris', country: 'France' } ], 'fra', [ 'name', 'country' ] )
+ * // [ { item: { name: 'Paris', country: 'France' }, score: 4, key: 'country', matches: { country: [ [ 0, 3 ] ] } } ]
+ *
+ * @returns {Object[]} - [ { item, score, key, matches: { key: ranges } }, ... ]
+ */
+export function fuzzySearch( list, query, keys = [ 'name' ] ) {
+    return list
+        .reduce( ( results, item, index ) => {
+            let best = null;
+            const MATCHES = {};
+
+            keys.forEach( ( key, keyIndex ) => {
+                const MATCH = fuzzyMatch( item[ key ], query );
+
+                if ( !MATCH ) {
+                    return;
+                }
+
+                MATCHES[ key ] = MATCH.ranges;
+
+                if ( !best || MATCH.score > best.score ) {
+                    best = {
+                        "score": MATCH.score,
+                        key,
+                        keyIndex
+                    };
+                }
+            } );
+
+            if ( best ) {
+                results.push( {
+                    item,
+                    "score": best.score,
+                    "key": best.key,
+                    "matches": MATCHES,
+                    "keyIndex": best.keyIndex,
+                    index
+                } );
+            }
+
+            return results;
+        }, [] )
+        .sort( ( a, b ) => b.score - a.score || a.keyIndex - b.keyIndex || a.index - b.index )
+        .map( ( { item, score, key, matches } ) => {
+            return { item, score, key, matches };
+        } );
+}
+
+
+/**
+ * Wrap some ranges of a text, like the ones returned by fuzzyMatch
+ *
+ * @param {String} text
+ * @param {Array[]} ranges - [ [ start, end ], ... ], sorted and not overlapping
+ * @param {String} before - Inserted before each range
+ * @param {String} after - Inserted after each range
+ *
+ * @example markedText = wrapRanges( 'Crème brûlée', [ [ 6, 9 ] ], '<mark>', '</mark>' )
+ * // 'Crème <mark>brû</mark>lée'
+ *
+ * @returns {String}
+ */
+export function wrapRanges( text, ranges, before, after ) {
+    let lastIndex = 0, result = '';
+
+    text = String( text );
+
+    ranges.forEach( ( [ start, end ] ) => {
+        result += text.slice( lastIndex, start ) + before + text.slice( start, end ) + after;
+        lastIndex = end;
+    } );
+
+    return result + text.slice( lastIndex );
+}
@@ -0,0 +1,222 @@
+import { extend } from '@creative-web-solution/front-library/Helpers/Extend';
+import { hasLocalStorage } from '@creative-web-solution/front-library/Helpers/hasLocalStorage';
+
+
+const defaultOptions = {
+    "maxSize": 100,
+    "ttl": 0,
+    "storageKey": ""
+};
+
+
+/**
+ * Least recently used cache, with an optional time to live and an optional persistence in the localStorage.
+ * When the cache is full, the least recently read or written entry is removed.
+ * @class
+ *
+ * @param {Object} [userOptions]
+ * @param {Number} [userOptions.maxSize=100] - Maximum number of entries
+ * @param {Number} [userOptions.ttl=0] - Time to live of an entry, in ms. 0 for no expiration
+ * @param {String} [userOptions.storageKey] - If set, the cache is saved in the localStorage with this key (if available)
+ *
+ * @example cache = new LRUCache( { "maxSize": 50, "ttl": 600000, "storageKey": "search-cache" } );
+ *
+ * cache.set( 'lorem', results );
+ * results = cache.get( 'lorem' ); // undefined if not in the cache or expired
+ */
+export function LRUCache( userOptions ) {
+    let entries, useStorage;
+
+    const options = extend( defaultOptions, userOptions );
+
+    entries = new Map();
+    useStorage = !!options.storageKey && hasLocalStorage();
+
+
+    /**
+     * @ignore
+     *
+     * @param {Object} entry - { value, time }
+     *
+     * @returns {Boolean}
+     */
+    function isExpired( entry ) {
+        return options.ttl > 0 && Date.now() - entry.time > options.ttl;
+    }
+
+
+    /**
+     * Remove the expired entries and the oldest ones above the maximum size
+     * @ignore
+     */
+    function prune() {
+        entries.forEach( ( entry, key ) => {
+            if ( isExpired( entry ) ) {
+                entries.delete( key );
+            }
+        } );
+
+        while ( entries.size > options.maxSize ) {
+            entries.delete( entries.keys().next().value );
+        }
+    }
+
+
+    /**
+     * @ignore
+     */
+    function save() {
+        if ( !useStorage ) {
+            return;
+        }
+
+        try {
+            localStorage.setItem( options.storageKey, JSON.stringify( Array.from( entries ) ) );
+        }
+        catch( e ) {
+            // Storage full or not serializable data: the cache stays in memory only
+        }
+    }
+
+
+    /**
+     * @ignore
+     */
+    function load() {
+        let data;
+
+        if ( !useStorage ) {
+            return;
+        }
+
+        try {
+            data = JSON.parse( localStorage.getItem( options.storageKey ) );
+        }
+        catch( e ) {
+            data = null;
+        }
+
+        if ( Array.isArray( data ) ) {
+            entries = new Map( data );
+            prune();
+        }
+    }
+
+
+    Object.defineProperty( this, 'size', {
+        "get": () => {
+            prune();
+            return entries.size;
+        }
+    } );
+
+
+    /**
+     * Get the value of a key and mark it as the most recently used
+     *
+     * @param {String} key
+     *
+     * @returns {*} - undefined if the key is not in the cache or expired
+     */
+    this.get = key => {
+        let entry = entries.get( key );
+
+        if ( !entry ) {
+            return;
+        }
+
+        entries.delete( key );
+
+        if ( isExpired( entry ) ) {
+            save();
+            return;
+        }
+
+        entries.set( key, entry );
+
+        return entry.value;
+    };
+
+
+    /**
+     * Check if a key is in the cache, without changing its order
+     *
+     * @param {String} key
+     *
+     * @returns {Boolean}
+     */
+    this.has = key => {
+        let entry = entries.get( key );
+
+        return !!entry && !isExpired( entry );
+    };
+
+
+    /**
+     * Add or update a value
+     *
+     * @param {String} key
+     * @param {*} value - Must be serializable in JSON when the localStorage is used
+     *
+     * @returns {LRUCache}
+     */
+    this.set = ( key, value ) => {
+        entries.delete( key );
+
+        entries.set( key, {
+            value,
+            "time": Date.now()
+        } );
+
+        prune();
+        save();
+
+        return this;
+    };
+
+
+    /**
+     * Remove a key
+     *
+     * @param {String} key
+     *
+     * @returns {LRUCache}
+     */
+    this.delete = key => {
+        entries.delete( key );
+        save();
+
+        return this;
+    };
+
+
+    /**
+     * Get all the valid keys, from the least to the most recently used
+     *
+     * @returns {String[]}
+     */
+    this.keys = () => {
+        prune();
+
+        return Array.from( entries.keys() );
+    };
+
+
+    /**
+     * Remove all the entries
+     *
+     * @returns {LRUCache}
+     */
+    this.clear = () => {
+        entries.clear();
+
+        if ( useStorage ) {
+            localStorage.removeItem( options.storageKey );
+        }
+
+        return this;
+    };
+
+
+    load();
+}
@@ -0,0 +1,581 @@
+/**
+ * @typedef {Object} TweenEngine
+ * @property {Function} set - ( target, vars ) => {}
+ * @property {Function} to - ( target, vars ) => {}
+ * @property {Function} fromTo - ( target, fromVars, toVars ) => {}
+ * @property {Function} killTweensOf - ( target ) => {}
+ */
+
+const TRANSFORM_PROPERTIES = [ 'x', 'y', 'xPercent', 'yPercent' ];
+const UNITLESS_PROPERTIES  = [ 'opacity', 'zIndex' ];
+const TWEEN_PROPERTIES     = [ 'duration', 'delay', 'ease', 'onUpdate', 'onComplete', 'clearProps' ];
+const DEFAULT_DURATION     = 0.5;
+const DEFAULT_EASE         = 'power1.out';
+
+// Same names as GSAP: power0 to power4 and their aliases, sine, expo and circ
+const POWER_EASES = {
+    "power0": 0,
+    "power1": 1,
+    "quad":   1,
+    "power2": 2,
+    "cubic":  2,
+    "power3": 3,
+    "quart":  3,
+    "power4": 4,
+    "quint":  4,
+    "strong": 4
+};
+
+const EASE_FUNCTIONS = {
+    "sine": t => 1 - Math.cos( t * Math.PI / 2 ),
+    "expo": t => t === 0 ? 0 : Math.pow( 2, 10 * t - 10 ),
+    "circ": t => 1 - Math.sqrt( 1 - t * t )
+};
+
+// [ in, out, inOut ] cubic-bezier approximations used by Element.animate()
+const EASE_BEZIERS = {
+    "power1": [ [ 0.11, 0, 0.5, 0 ], [ 0.5, 1, 0.89, 1 ], [ 0.45, 0, 0.55, 1 ] ],
+    "power2": [ [ 0.32, 0, 0.67, 0 ], [ 0.33, 1, 0.68, 1 ], [ 0.65, 0, 0.35, 1 ] ],
+    "power3": [ [ 0.5, 0, 0.75, 0 ], [ 0.25, 1, 0.5, 1 ], [ 0.76, 0, 0.24, 1 ] ],
+    "power4": [ [ 0.64, 0, 0.78, 0 ], [ 0.22, 1, 0.36, 1 ], [ 0.83, 0, 0.17, 1 ] ],
+    "sine":   [ [ 0.12, 0, 0.39, 0 ], [ 0.61, 1, 0.88, 1 ], [ 0.37, 0, 0.63, 1 ] ],
+    "expo":   [ [ 0.7, 0, 0.84, 0 ], [ 0.16, 1, 0.3, 1 ], [ 0.87, 0, 0.13, 1 ] ],
+    "circ":   [ [ 0.55, 0, 1, 0.45 ], [ 0, 0.55, 0.45, 1 ], [ 0.85, 0, 0.15, 1 ] ]
+};
+
+const EASE_TYPES = [ 'in', 'out', 'inOut' ];
+
+// Transform values and running tweens of each target
+const TARGETS_DATA = new WeakMap();
+
+
+function getTargetData( target ) {
+    let data = TARGETS_DATA.get( target );
+
+    if ( !data ) {
+        data = {
+            "transform": {
+                "x":        0,
+                "y":        0,
+                "xPercent": 0,
+                "yPercent": 0
+            },
+            "tweens": []
+        };
+
+        TARGETS_DATA.set( target, data );
+    }
+
+    return data;
+}
+
+
+function isElement( target ) {
+    return target instanceof Element;
+}
+
+
+/**
+ * Return an ease object from a GSAP ease name ("none", "power2.out", "sine.inOut", ...) or from an ease function
+ *
+ * @param {String|Function} [ease="power1.out"]
+ *
+ * @returns {Object} - { fn, css } where css is undefined for custom functions
+ */
+function getEase( ease = DEFAULT_EASE ) {
+    let name, type, power, fnIn, typeIndex, bezier;
+
+    if ( typeof ease === 'function' ) {
+        return {
+            "fn": ease
+        };
+    }
+
+    if ( ease === 'none' || ease === 'linear' ) {
+        return {
+            "fn":  t => t,
+            "css": 'linear'
+        };
+    }
+
+    [ name, type = 'out' ] = ease.split( '.' );
+
+    typeIndex = EASE_TYPES.indexOf( type );
+    power     = POWER_EASES[ name ];
+
+    if ( power === 0 ) {
+        return getEase( 'none' );
+    }
+
+    if ( typeof power === 'number' ) {
+        fnIn = t => Math.pow( t, power + 1 );
+        name = `power${ power }`;
+    }
+    else {
+        fnIn = EASE_FUNCTIONS[ name ];
+    }
+
+    if ( !fnIn || typeIndex < 0 ) {
+        return getEase();
+    }
+
+    bezier = EASE_BEZIERS[ name ][ typeIndex ];
+
+    return {
+        "fn": [
+            fnIn,
+            t => 1 - fnIn( 1 - t ),
+            t => t < 0.5 ? fnIn( t * 2 ) / 2 : 1 - fnIn( ( 1 - t ) * 2 ) / 2
+        ][ typeIndex ],
+        "css": `cubic-bezier(${ bezier.join( ',' ) })`
+    };
+}
+
+
+function toCssValue( name, value ) {
+    if ( typeof value === 'number' && !UNITLESS_PROPERTIES.includes( name ) ) {
+        return `${ value }px`;
+    }
+
+    return value;
+}
+
+
+function toCssTransform( transform ) {
+    return `translate(${ transform.xPercent }%, ${ transform.yPercent }%) translate(${ transform.x }px, ${ transform.y }px)`;
+}
+
+
+// Split the vars between transform, css and tween properties
+function parseVars( vars ) {
+    let parsedVars = {
+        "transform": {},
+        "styles":    {},
+        "tween":     {}
+    };
+
+    Object.keys( vars ).forEach( name => {
+        if ( TWEEN_PROPERTIES.includes( name ) ) {
+            parsedVars.tween[ name ] = vars[ name ];
+        }
+        else if ( TRANSFORM_PROPERTIES.includes( name ) ) {
+            parsedVars.transform[ name ] = parseFloat( vars[ name ] ) || 0;
+        }
+        else {
+            parsedVars.styles[ name ] = vars[ name ];
+        }
+    } );
+
+    return parsedVars;
+}
+
+
+function clearProps( $element, props ) {
+    let data = getTargetData( $element );
+
+    if ( props === 'all' || props === true ) {
+        $element.removeAttribute( 'style' );
+        TARGETS_DATA.delete( $element );
+        return;
+    }
+
+    props.split( ',' ).forEach( name => {
+        name = name.trim();
+
+        if ( TRANSFORM_PROPERTIES.includes( name ) || name === 'transform' ) {
+            TRANSFORM_PROPERTIES.forEach( prop => data.transform[ prop ] = 0 );
+            $element.style.transform = '';
+            return;
+        }
+
+        $element.style[ name ] = '';
+    } );
+}
+
+
+function applyStyles( target, parsedVars ) {
+    let data = getTargetData( target );
+
+    if ( !isElement( target ) ) {
+        Object.keys( parsedVars.styles ).forEach( name => {
+            target[ name ] = parsedVars.styles[ name ];
+        } );
+        return;
+    }
+
+    if ( parsedVars.styles.scrollTo ) {
+        if ( typeof parsedVars.styles.scrollTo.x === 'number' ) {
+            target.scrollLeft = parsedVars.styles.scrollTo.x;
+        }
+
+        if ( typeof parsedVars.styles.scrollTo.y === 'number' ) {
+            target.scrollTop = parsedVars.styles.scrollTo.y;
+        }
+    }
+
+    Object.keys( parsedVars.styles ).forEach( name => {
+        if ( name !== 'scrollTo' ) {
+            target.style[ name ] = toCssValue( name, parsedVars.styles[ name ] );
+        }
+    } );
+
+    if ( Object.keys( parsedVars.transform ).length ) {
+        Object.assign( data.transform, parsedVars.transform );
+        target.style.transform = toCssTransform( data.transform );
+    }
+}
+
+
+function removeTween( target, tween ) {
+    let data = getTargetData( target );
+
+    data.tweens = data.tweens.filter( t => t !== tween );
+}
+
+
+// Interpolate numeric values on each animation frame. Used for plain objects, custom eases and old browsers
+function FrameTween( target, parsedVars, ease, done ) {
+    let startTime, animationFrame, fromValues, fromTransform;
+
+    const DURATION  = getDuration( parsedVars.tween ) * 1000;
+    const TRANSFORM = getTargetData( target ).transform;
+    const IS_ELEMENT = isElement( target );
+
+    fromTransform = Object.assign( {}, TRANSFORM );
+    fromValues    = {};
+
+    Object.keys( parsedVars.styles ).forEach( name => {
+        if ( isNaN( parseFloat( parsedVars.styles[ name ] ) ) ) {
+            return;
+        }
+
+        fromValues[ name ] = parseFloat( IS_ELEMENT ? window.getComputedStyle( target )[ name ] : target[ name ] ) || 0;
+    } );
+
+
+    function interpolate( from, to, progress ) {
+        return from + ( parseFloat( to ) - from ) * progress;
+    }
+
+
+    function step( timestamp ) {
+        let progress, styles, transform;
+
+        if ( !startTime ) {
+            startTime = timestamp;
+        }
+
+        progress  = DURATION ? Math.min( ( timestamp - startTime ) / DURATION, 1 ) : 1;
+        styles    = {};
+        transform = {};
+
+        Object.keys( fromValues ).forEach( name => {
+            styles[ name ] = interpolate( fromValues[ name ], parsedVars.styles[ name ], ease.fn( progress ) );
+        } );
+
+        Object.keys( parsedVars.transform ).forEach( name => {
+            transform[ name ] = interpolate( fromTransform[ name ], parsedVars.transform[ name ], ease.fn( progress ) );
+        } );
+
+        // Non-numeric values are only applied at the end
+        applyStyles( target, progress < 1 ? { styles, transform } : parsedVars );
+
+        if ( parsedVars.tween.onUpdate ) {
+            parsedVars.tween.onUpdate();
+        }
+
+        if ( progress < 1 ) {
+            animationFrame = window.requestAnimationFrame( step );
+            return;
+        }
+
+        done();
+    }
+
+
+    this.kill = () => {
+        window.cancelAnimationFrame( animationFrame );
+    };
+
+
+    animationFrame = window.requestAnimationFrame( step );
+}
+
+
+// Use Element.animate() and apply the final styles inline when it is finished
+function ElementTween( $element, parsedVars, ease, done ) {
+    let animation, animationFrame, fromKeyframe, toKeyframe, computedStyle, fromTransform, toTransform;
+
+    const TRANSFORM = getTargetData( $element ).transform;
+    const DURATION  = getDuration( parsedVars.tween ) * 1000;
+
+    computedStyle = window.getComputedStyle( $element );
+    fromKeyframe  = {};
+    toKeyframe    = {};
+
+    Object.keys( parsedVars.styles ).forEach( name => {
+        fromKeyframe[ name ] = computedStyle[ name ];
+        toKeyframe[ name ]   = toCssValue( name, parsedVars.styles[ name ] );
+    } );
+
+    if ( Object.keys( parsedVars.transform ).length ) {
+        fromTransform = Object.assign( {}, TRANSFORM );
+        toTransform   = Object.assign( {}, TRANSFORM, parsedVars.transform );
+
+        fromKeyframe.transform = toCssTransform( TRANSFORM );
+        toKeyframe.transform   = toCssTransform( toTransform );
+    }
+
+
+    function onUpdate() {
+        parsedVars.tween.onUpdate();
+        animationFrame = window.requestAnimationFrame( onUpdate );
+    }
+
+
+    // Eased progress of the animation, between 0 and 1
+    function getProgress() {
+        let progress;
+
+        if ( animation.effect && animation.effect.getComputedTiming ) {
+            progress = animation.effect.getComputedTiming().progress;
+        }
+
+        if ( typeof progress !== 'number' ) {
+            progress = ease.fn( DURATION ? Math.min( ( animation.currentTime || 0 ) / DURATION, 1 ) : 1 );
+        }
+
+        return progress;
+    }
+
+
+    this.kill = () => {
+        window.cancelAnimationFrame( animationFrame );
+
+        // Keep the element where it was stopped
+        if ( animation.commitStyles ) {
+            animation.commitStyles();
+        }
+
+        // Save the current transform values, so the next tween starts from them
+        if ( toTransform ) {
+            let progress = getProgress();
+
+            Object.keys( parsedVars.transform ).forEach( name => {
+                TRANSFORM[ name ] = fromTransform[ name ] + ( toTransform[ name ] - fromTransform[ name ] ) * progress;
+            } );
+
+            $element.style.transform = toCssTransform( TRANSFORM );
+        }
+
+        animation.cancel();
+    };
+
+
+    animation = $element.animate( [ fromKeyframe, toKeyframe ], {
+        "duration": DURATION,
+        "easing":   ease.css,
+        "fill":     "forwards"
+    } );
+
+    animation.onfinish = () => {
+        window.cancelAnimationFrame( animationFrame );
+
+        applyStyles( $element, parsedVars );
+        animation.cancel();
+
+        if ( parsedVars.tween.onUpdate ) {
+            parsedVars.tween.onUpdate();
+        }
+
+        done();
+    };
+
+    if ( parsedVars.tween.onUpdate ) {
+        animationFrame = window.requestAnimationFrame( onUpdate );
+    }
+}
+
+
+function getDuration( tweenVars ) {
+    return typeof tweenVars.duration === 'number' ? tweenVars.duration : DEFAULT_DURATION;
+}
+
+
+function set( target, vars ) {
+    let parsedVars = parseVars( vars );
+
+    if ( parsedVars.tween.clearProps && isElement( target ) ) {
+        clearProps( target, parsedVars.tween.clearProps );
+    }
+
+    applyStyles( target, parsedVars );
+}
+
+
+function to( target, vars ) {
+    let tween, ease, delayTimeoutId, killed;
+
+    const PARSED_VARS = parseVars( vars );
+    const DATA        = getTargetData( target );
+
+    ease = getEase( PARSED_VARS.tween.ease );
+
+
+    function done() {
+        removeTween( target, tween );
+
+        if ( PARSED_VARS.tween.clearProps ) {
+            clearProps( target, PARSED_VARS.tween.clearProps );
+        }
+
+        if ( PARSED_VARS.tween.onComplete ) {
+            PARSED_VARS.tween.onComplete();
+        }
+    }
+
+
+    function start() {
+        if ( killed ) {
+            return;
+        }
+
+        if ( isElement( target ) && ease.css && typeof target.animate === 'function' ) {
+            tween.engine = new ElementTween( target, PARSED_VARS, ease, done );
+        }
+        else {
+            tween.engine = new FrameTween( target, PARSED_VARS, ease, done );
+        }
+    }
+
+
+    tween = {
+        "kill": () => {
+            killed = true;
+            clearTimeout( delayTimeoutId );
+
+            if ( tween.engine ) {
+                tween.engine.kill();
+            }
+        }
+    };
+
+    DATA.tweens.push( tween );
+
+    if ( PARSED_VARS.tween.delay ) {
+        delayTimeoutId = setTimeout( start, PARSED_VARS.tween.delay * 1000 );
+    }
+    else {
+        start();
+    }
+}
+
+
+function fromTo( target, fromVars, toVars ) {
+    set( target, fromVars );
+    to( target, toVars );
+}
+
+
+function killTweensOf( target ) {
+    let data = TARGETS_DATA.get( target );
+
+    if ( !data ) {
+        return;
+    }
+
+    data.tweens.forEach( tween => tween.kill() );
+    data.tweens.length = 0;
+}
+
+
+/**
+ * Tween engine without any dependency, based on Element.animate() or requestAnimationFrame.
+ * It uses a subset of the GSAP 3 API:
+ *  - set, to, fromTo and killTweensOf functions
+ *  - x, y, xPercent, yPercent, scrollTo and numeric CSS properties
+ *  - duration, delay, ease, onUpdate, onComplete and clearProps options
+ *  - Eases: none, power0 to power4 (and quad, cubic, quart, quint, strong), sine, expo and circ with .in, .out or .inOut
+ *
+ * @type {TweenEngine}
+ *
+ * @example nativeTween.to( $element, {
+ *  "duration": 0.5,
+ *  "xPercent": 100,
+ *  "ease":     "power2.inOut",
+ *  "onComplete": () => {}
+ * } );
+ */
+export const nativeTween = {
+    set,
+    to,
+    fromTo,
+    killTweensOf
+};
+
+
+// Convert GSAP 3 ease names to GSAP 2 ease objects: power2.inOut => Power2.easeInOut
+function toLegacyEase( ease ) {
+    let name, type;
+
+    if ( typeof ease !== 'string' ) {
+        return ease;
+    }
+
+    if ( ease === 'none' || ease === 'linear' ) {
+        return window.Linear.easeNone;
+    }
+
+    [ name, type = 'out' ] = ease.split( '.' );
+
+    name = name.charAt( 0 ).toUpperCase() + name.slice( 1 );
+    type = type.charAt( 0 ).toUpperCase() + type.slice( 1 );
+
+    return window[ name ] ? window[ name ][ `ease${ type }` ] : ease;
+}
+
+
+function toLegacyVars( vars ) {
+    let legacyVars = Object.assign( {}, vars );
+
+    delete legacyVars.duration;
+
+    if ( legacyVars.ease ) {
+        legacyVars.ease = toLegacyEase( legacyVars.ease );
+    }
+
+    return legacyVars;
+}
+
+
+/**
+ * Return the tween engine to use: GSAP 3 (window.gsap), GSAP 2 (window.TweenLite) or the native one if GSAP is not loaded
+ *
+ * @example getTweenEngine().to( $element, { "duration": 0.5, "x": 100 } );
+ *
+ * @returns {TweenEngine}
+ */
+export function getTweenEngine() {
+    if ( window.gsap ) {
+        return window.gsap;
+    }
+
+    if ( window.TweenLite ) {
+        return {
+            "set": ( target, vars ) => {
+                window.TweenLite.set( target, vars );
+            },
+            "to": ( target, vars ) => {
+                window.TweenLite.to( target, getDuration( vars ), toLegacyVars( vars ) );
+            },
+            "fromTo": ( target, fromVars, toVars ) => {
+                window.TweenLite.fromTo( target, getDuration( toVars ), fromVars, toLegacyVars( toVars ) );
+            },
+            "killTweensOf": target => {
+                window.TweenLite.killTweensOf( target );
+            }
+        };
+    }
+
+    return nativeTween;
+}
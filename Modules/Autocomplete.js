@@ -1,10 +1,18 @@
 import { gesture, gestureOff } from '@creative-web-solution/front-library/Events/Gesture';
 import { extend } from '@creative-web-solution/front-library/Helpers/Extend';
-import { append, remove } from '@creative-web-solution/front-library/DOM/Manipulation';
-import { height } from '@creative-web-solution/front-library/DOM/Size';
-import { offset } from '@creative-web-solution/front-library/DOM/offset';
-import { outerHeight, outerWidth } from '@creative-web-solution/front-library/DOM/OuterSize';
+import { append, remove, insertBefore, insertAfter } from '@creative-web-solution/front-library/DOM/Manipulation';
+import { outerHeight } from '@creative-web-solution/front-library/DOM/OuterSize';
 import { position } from '@creative-web-solution/front-library/DOM/position';
+import { fuzzyMatch, fuzzySearch, wrapRanges, normalizeString } from '@creative-web-solution/front-library/Helpers/FuzzySearch';
+import { LRUCache } from '@creative-web-solution/front-library/Helpers/LRUCache';
+import { FloatingPosition } from '@creative-web-solution/front-library/Helpers/FloatingPosition';
+
+
+let autocompleteCount = 0;
+
+const PAGE_SIZE = 10;
+
+const VISUALLY_HIDDEN_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
 
 /**
  * Autocomplete
@@ -17,22 +25,42 @@ import { position } from '@creative-web-solution/front-library/DOM/position';
  * @param {HTMLElement} [userOptions.$panelWrapper=document.body]
  * @param {number} [userOptions.maxHeight=200]
  * @param {Boolean} [userOptions.useCache=false]
+ * @param {Object} [userOptions.cache] - Options of the cache, used with useCache
+ * @param {Number} [userOptions.cache.maxSize=100] - Maximum number of cached queries, the least recently used are removed first
+ * @param {Number} [userOptions.cache.ttl=0] - Time to live of the cached queries, in ms. 0 for no expiration
+ * @param {String} [userOptions.cache.storageKey] - If set, the cache is saved in the localStorage with this key
+ * @param {Boolean} [userOptions.cache.usePrefix=true] - Display the filtered results of a cached shorter query while the query is loading
  * @param {Number} [userOptions.minchar=3]
- * @param {} [userOptions.source]
+ * @param {Object[]|Function} [userOptions.source] - Array of items, (query, callback) => {} or async query => results
+ * @param {String[]} [userOptions.searchKeys=['name']] - Properties of the items used to search in an array source and to mark the results
  * @param {String} userOptions.url
- * @param {String} [userOptions.cssPositionning=false] - Use CSS or Javascript for the position of the layer
+ * @param {String} [userOptions.cssPositionning=false] - Use CSS or Javascript for the position of the layer. In Javascript, the layer is flipped above the field when there is no room below, and updated on scroll and resize
  * @param {boolean} [userOptions.updateOnSelect=true] - Update or not the text field with the selected value
- * @param {Callback} [userOptions.onSelect] - ({ item, query, resultsList }) => {}
+ * @param {Boolean} [userOptions.multiple=false] - Select several items, displayed as tags
+ * @param {HTMLElement} [userOptions.$valueField] - In multiple mode, <select multiple> updated with the values of the selected items
+ * @param {String} [userOptions.valueName] - In multiple mode, without $valueField, name of the hidden inputs created for the selected items
+ * @param {Callback} [userOptions.onSelect] - ({ item, group, query, resultsList }) => {}
+ * @param {Callback} [userOptions.onRemove] - In multiple mode, ({ item, selectedItems }) => {}
+ * @param {Callback} [userOptions.onSeeAll] - ({ group, query }) => {}. By default, go to group.url
+ * @param {Number|Object} [userOptions.groupMax=0] - Maximum number of displayed items per group, or by group id: { "products": 5 }. 0 for no limit
  * @param {Callback} [userOptions.queryParams=query => { return { "search": query } }]
  * @param {Function} [userOptions.normalize=data => data ] - Conver the ajax response in the good JSON format => {success, results}
- * @param {Function} [userOptions.renderFieldValue=({item, query, resultList}) => item.name] - Allow to manipulate the displayed value of items
- * @param {Function} [userOptions.render=({resultItem, query, index, itemsList, cssClass}) => `<li role="option" data-idx="${index}" class="${cssClass.item}"><a class="${cssClass.link}">${resultItem.markedName}</a></li>`]
+ * @param {Function} [userOptions.renderFieldValue=({item, group, query, resultList}) => item.name] - Allow to manipulate the displayed value of items
+ * @param {Function} [userOptions.renderValue=({item}) => typeof item.value !== 'undefined' ? item.value : item.name] - In multiple mode, value of the item sent with the form
+ * @param {Function} [userOptions.renderTag=({item, label, index, l10n, cssClass}) => `<li class="${cssClass.tag}"><span class="${cssClass.tagLabel}">${label}</span><button type="button" class="${cssClass.tagRemove}" data-tag-idx="${index}" aria-label="${l10n.removeTag.replace('{LABEL}', label)}">&times;</button></li>`]
+ * @param {Function} [userOptions.render=({resultItem, query, index, itemsList, group, cssClass}) => `<li role="option" data-idx="${index}" class="${cssClass.item}"><a class="${cssClass.link}">${resultItem.markedName}</a></li>`]
  * @param {Function} [userOptions.renderList=({resultList, query, cssClass}) => `<ul role="listbox" class="${cssClass.list}">${resultList.join('')}</ul>`]
+ * @param {Function} [userOptions.renderGroup=({group, id, resultList, cssClass}) => `<li role="presentation" class="${cssClass.group}"><div id="${id}" class="${cssClass.groupLabel}">${group.label}</div><ul role="group" aria-labelledby="${id}" class="${cssClass.groupList}">${resultList.join('')}</ul></li>`]
+ * @param {Function} [userOptions.renderSeeAll=({group, label, index, cssClass}) => `<li role="option" class="${cssClass.item} ${cssClass.seeAll}"><a class="${cssClass.link}" data-idx="${index}">${label}</a></li>`]
  * @param {Function} [userOptions.renderError=({errorMsg, query, cssClass}) => `<li class="${cssClass.error}">${errorMsg}</li>`]
- * @param {Function} [userOptions.renderMark] - Allow to wrap the query with a tag in the result item name ({resultItem, reQuery, query, index, resultList, cssClass}) => {resultItem.name && (resultItem.markedName = resultItem.name.replace(reQuery,`<mark class="${cssClass.mark}">$1</mark>`));}
+ * @param {Function} [userOptions.renderMark] - Allow to wrap the matched parts of the query with a tag in the result item name ({resultItem, matches, reQuery, query, index, resultList, cssClass}) => {resultItem.name && (resultItem.markedName = matches && matches.name ? wrapRanges(resultItem.name, matches.name, `<mark class="${cssClass.mark}">`, '</mark>') : resultItem.name);}
  * @param {Object} [userOptions.l10n]
  * @param {String} [userOptions.l10n.noResult=No result]
  * @param {String} [userOptions.l10n.error=Server error]
+ * @param {String} [userOptions.l10n.oneResult=1 result available] - Announced to screen readers
+ * @param {String} [userOptions.l10n.results={COUNT} results available] - Announced to screen readers
+ * @param {String} [userOptions.l10n.seeAll=See all results in {GROUP}]
+ * @param {String} [userOptions.l10n.removeTag=Remove {LABEL}]
  * @param {Object} [userOptions.className]
  * @param {String} [userOptions.className.layer=ac-layer]
  * @param {String} [userOptions.className.list=ac-list]
@@ -41,9 +69,18 @@ import { position } from '@creative-web-solution/front-library/DOM/position';
  * @param {String} [userOptions.className.error=acl-error]
  * @param {String} [userOptions.className.hover=hover]
  * @param {String} [userOptions.className.disable=disable]
+ * @param {String} [userOptions.className.liveRegion=ac-live]
+ * @param {String} [userOptions.className.group=acl-grp]
+ * @param {String} [userOptions.className.groupLabel=acl-grp-lbl]
+ * @param {String} [userOptions.className.groupList=acl-grp-lst]
+ * @param {String} [userOptions.className.seeAll=acl-all]
+ * @param {String} [userOptions.className.tags=ac-tags]
+ * @param {String} [userOptions.className.tag=ac-tag]
+ * @param {String} [userOptions.className.tagLabel=ac-tag-lbl]
+ * @param {String} [userOptions.className.tagRemove=ac-tag-rm]
  */
 export function Autocomplete(userOptions = {}) {
-    let options, cacheQuery, timeoutId, $layer, $list, currentResults, tplSuggestion, selectionLocked, hasResults, selectedIndex, nbResults, url, hideTimeoutId, $field, className, $panelWrapper, l10n, currentQuery, requestAbortController, isDisabled;
+    let options, cacheQuery, timeoutId, $layer, $list, currentResults, tplSuggestion, selectionLocked, hasResults, selectedIndex, nbResults, url, hideTimeoutId, $field, className, $panelWrapper, l10n, currentQuery, requestAbortController, requestQuery, requestPromise, isDisabled, $liveRegion, $items, isOpened, announceTimeoutId, currentOptions, sourceQuery, selectedItems, $tags, $valueField, $hiddenInputs, floatingPosition;
 
     if ( !( "AbortController" in window ) ) {
         throw 'This plugin uses fecth and AbortController. You may need to add a polyfill for this browser.';
@@ -54,11 +91,28 @@ export function Autocomplete(userOptions = {}) {
         "$panelWrapper": document.body,
         "maxHeight": 200,
         "useCache": false,
+        "cache": {
+            "maxSize": 100,
+            "ttl": 0,
+            "storageKey": "",
+            "usePrefix": true
+        },
         "minchar": 3,
         "source": null,
+        "searchKeys": [ 'name' ],
         "url": "",
         "updateOnSelect": true,
+        "multiple": false,
+        "$valueField": null,
+        "valueName": "",
         "onSelect": null,
+        "onRemove": null,
+        "onSeeAll": ( { group } ) => {
+            if ( group.url ) {
+                window.location.href = group.url;
+            }
+        },
+        "groupMax": 0,
         "cssPositionning": false,
         "queryParams": query => {
             return { search: query };
@@ -69,29 +123,47 @@ export function Autocomplete(userOptions = {}) {
         "renderFieldValue": ( { item } ) => {
             return item.name;
         },
+        "renderValue": ( { item } ) => {
+            return typeof item.value !== 'undefined' ? item.value : item.name;
+        },
+        "renderTag": ( { label, index, l10n, cssClass } ) => {
+            return `<li class="${ cssClass.tag }"><span class="${ cssClass.tagLabel }">${ label }</span><button type="button" class="${ cssClass.tagRemove }" data-tag-idx="${ index }" aria-label="${ l10n.removeTag.replace( '{LABEL}', label ) }">&times;</button></li>`;
+        },
         "render": ( { resultItem, index, cssClass } ) => {
             return `<li role="option" class="${ cssClass.item }"><a class="${ cssClass.link }" data-idx="${ index }">${ resultItem.markedName }</a></li>`;
         },
         "renderList": ( { resultList, cssClass } ) => {
             return `<ul role="listbox" class="${ cssClass.list }">${ resultList.join('') }</ul>`;
         },
+        "renderGroup": ( { group, id, resultList, cssClass } ) => {
+            return `<li role="presentation" class="${ cssClass.group }"><div id="${ id }" class="${ cssClass.groupLabel }">${ group.label }</div><ul role="group" aria-labelledby="${ id }" class="${ cssClass.groupList }">${ resultList.join('') }</ul></li>`;
+        },
+        "renderSeeAll": ( { label, index, cssClass } ) => {
+            return `<li role="option" class="${ cssClass.item } ${ cssClass.seeAll }"><a class="${ cssClass.link }" data-idx="${ index }">${ label }</a></li>`;
+        },
         "renderError": ( { errorMsg, cssClass } ) => {
             return `<li class="${ cssClass.error }">${ errorMsg }</li>`;
         },
-        "renderMark": ( { resultItem, reQuery, cssClass } ) => {
-            if ( !reQuery ) {
+        "renderMark": ( { resultItem, matches, cssClass } ) => {
+            if ( !matches || !matches.name ) {
                 resultItem.markedName = resultItem.name;
                 return;
             }
 
-            resultItem.name && ( resultItem.markedName = resultItem.name.replace(
-                reQuery,
-                `<mark class="${ cssClass.mark }">$1</mark>`
+            resultItem.name && ( resultItem.markedName = wrapRanges(
+                resultItem.name,
+                matches.name,
+                `<mark class="${ cssClass.mark }">`,
+                '</mark>'
             ) );
         },
         "l10n": {
             "noResult": "No result",
-            "error": "Server error"
+            "error": "Server error",
+            "oneResult": "1 result available",
+            "results": "{COUNT} results available",
+            "seeAll": "See all results in {GROUP}",
+            "removeTag": "Remove {LABEL}"
         },
         "className": {
             "layer": "ac-layer",
@@ -101,7 +173,16 @@ export function Autocomplete(userOptions = {}) {
             "mark": "acl-mrk",
             "error": "acl-error",
             "hover": "hover",
-            "disable": "disable"
+            "disable": "disable",
+            "liveRegion": "ac-live",
+            "group": "acl-grp",
+            "groupLabel": "acl-grp-lbl",
+            "groupList": "acl-grp-lst",
+            "seeAll": "acl-all",
+            "tags": "ac-tags",
+            "tag": "ac-tag",
+            "tagLabel": "ac-tag-lbl",
+            "tagRemove": "ac-tag-rm"
         }
     }
 
@@ -109,7 +190,7 @@ export function Autocomplete(userOptions = {}) {
 
     options = extend( defaultOptions, userOptions );
 
-    cacheQuery = {};
+    cacheQuery = new LRUCache( options.cache );
     selectionLocked = true;
     selectedIndex = -1;
     nbResults = 0;
@@ -119,21 +200,57 @@ export function Autocomplete(userOptions = {}) {
     $panelWrapper = options.$panelWrapper;
     className = options.className;
     l10n = options.l10n;
+    $items = [];
+    currentResults = [];
+    currentOptions = [];
+    isOpened = false;
+    selectedItems = [];
+    $hiddenInputs = [];
+    $valueField = options.$valueField;
+
+    if ( options.multiple && !$valueField && !options.valueName ) {
+        throw 'Autocomplete: $valueField or valueName is required with the multiple option';
+    }
+
+    const ID = $field.id || `autocomplete-${ ++autocompleteCount }`;
+    const LISTBOX_ID = `${ ID }-listbox`;
 
     tplSuggestion = `<ul role="listbox" class="${className.list}">{LIST}</ul>`;
 
     $layer = document.createElement( 'DIV' );
     $layer.classList.add( className.layer );
 
+    $liveRegion = document.createElement( 'DIV' );
+    $liveRegion.classList.add( className.liveRegion );
+    $liveRegion.setAttribute( 'role', 'status' );
+    $liveRegion.setAttribute( 'aria-live', 'polite' );
+    $liveRegion.setAttribute( 'aria-atomic', 'true' );
+    $liveRegion.style.cssText = VISUALLY_HIDDEN_STYLE;
+
     append( $layer, $panelWrapper );
+    append( $liveRegion, $panelWrapper );
+
+    floatingPosition = new FloatingPosition( $layer, $field, {
+        "placement":  options.display === 'top' ? 'top' : 'bottom',
+        "offset":     1,
+        "matchWidth": true
+    } );
 
     $field.setAttribute( 'autocomplete', 'off' );
+    $field.setAttribute( 'role', 'combobox' );
+    $field.setAttribute( 'aria-autocomplete', 'list' );
+    $field.setAttribute( 'aria-expanded', 'false' );
+    $field.setAttribute( 'aria-controls', LISTBOX_ID );
     isDisabled = $field.disabled || $field.classList.contains( className.disable );
 
     Object.defineProperty( this, 'isDisable', {
         "get": () => isDisabled || $field.disabled
     } );
 
+    Object.defineProperty( this, 'selectedItems', {
+        "get": () => selectedItems.slice()
+    } );
+
 
     /**
      * Update the current options
@@ -154,30 +271,17 @@ export function Autocomplete(userOptions = {}) {
      * @ignore
      */
     function show() {
-        let topVal, parentFieldOffset, fieldHeight, wrapperHeight, wrapperStyle;
-
-        wrapperStyle = $layer.style;
+        $layer.style.display = 'block';
 
         if ( !options.cssPositionning ) {
-            parentFieldOffset = offset( $field.parentNode );
-            wrapperHeight = height( $layer );
-            fieldHeight = outerHeight( $field );
-
-            topVal =
-                options.display === 'top'
-                    ? parentFieldOffset.top - wrapperHeight + 1
-                    : parentFieldOffset.top + fieldHeight + 1;
-
-
-            wrapperStyle.top = `${topVal}px`;
-            wrapperStyle.left = `${parentFieldOffset.left}px`;
-            wrapperStyle.width = `${outerWidth($field)}px`;
+            floatingPosition.start();
         }
 
-        wrapperStyle.display = 'block';
-
         $layer.scrollTop = 0;
 
+        isOpened = true;
+        $field.setAttribute( 'aria-expanded', 'true' );
+
         setTimeout( () => {
             gesture( document.body, '__AutocompleteTapOutside', {
                 "tap": clickOutsideHandler
@@ -193,14 +297,67 @@ export function Autocomplete(userOptions = {}) {
     function hide() {
         clearTimeout( hideTimeoutId );
         gestureOff( document.body, '__AutocompleteTapOutside' );
+        floatingPosition.stop();
 
         $layer.style.display = 'none';
         selectionLocked = true;
+
+        isOpened = false;
+        $field.setAttribute( 'aria-expanded', 'false' );
+        $field.removeAttribute( 'aria-activedescendant' );
         // $layer.innerHTML                = '';
         // $list = null;
     }
 
 
+    /**
+     * Announce a message to screen readers
+     * @ignore
+     *
+     * @param {String} message
+     */
+    function announce( message ) {
+        clearTimeout( announceTimeoutId );
+
+        // Empty the region first so the same message is announced again
+        $liveRegion.textContent = '';
+
+        announceTimeoutId = setTimeout( () => {
+            $liveRegion.textContent = message;
+        }, 100 );
+    }
+
+
+    /**
+     * Set the ARIA attributes of the freshly rendered list and options
+     * @ignore
+     *
+     * @param {Boolean} hasOptions
+     */
+    function initList( hasOptions ) {
+        $list = $layer.querySelector( `.${ className.list }` );
+
+        if ( $list ) {
+            $list.id = LISTBOX_ID;
+        }
+
+        // Group headers must have a presentation or none role
+        $items = hasOptions ? Array.from( $layer.querySelectorAll( 'li:not([role="presentation"]):not([role="none"])' ) ) : [];
+
+        $items.forEach( ( $item, index ) => {
+            $item.id = `${ ID }-option-${ index }`;
+
+            if ( !$item.hasAttribute( 'role' ) ) {
+                $item.setAttribute( 'role', 'option' );
+            }
+
+            $item.setAttribute( 'aria-selected', 'false' );
+        } );
+
+        $field.removeAttribute( 'aria-activedescendant' );
+    }
+
+
     function clickOutsideHandler( e, $target ) {
         let $parent = $target.closest( className.layer );
 
@@ -213,24 +370,17 @@ export function Autocomplete(userOptions = {}) {
 
 
     /**
-     * Create the results list
+     * Return the RegExp used to mark the query in the results
      * @ignore
      *
-     * @param {string[]} _list - Array of result
-     * @param {string} _query
+     * @param {String} _query
      *
-     * @returns {Autocomplete}
+     * @returns {RegExp}
      */
-    function set( _list, _query ) {
-        let html, reQuery;
-
-        currentResults = _list;
-        currentQuery = _query;
-
-        html = [];
-        hasResults = true;
-
-        reQuery = new RegExp(`(${_query
+    function getQueryRegExp( _query ) {
+        return new RegExp(`(${_query
+            // The query is typed by the user: its special characters are escaped
+            .replace( /[.*+?^${}()|[\]\\]/g, '\\$&' )
             .replace( /a/gi, '[aàâä]' )
             .replace( /c/gi, '[cç]' )
             .replace( /e/gi, '[eéèêë]' )
@@ -238,38 +388,186 @@ export function Autocomplete(userOptions = {}) {
             .replace( /o/gi, '[oòôö]' )
             .replace( /u/gi, '[uùûü]' )
             .replace( /y/gi, '[y]')})`, 'gi' );
+    }
+
+
+    /**
+     * Return the matched ranges of the current query in the search keys of an item
+     * @ignore
+     *
+     * @param {Object} item
+     *
+     * @returns {Object|null} - { key: [ [ start, end ], ... ] }
+     */
+    function getMatches( item ) {
+        if ( !currentQuery ) {
+            return null;
+        }
+
+        return options.searchKeys.reduce( ( matches, key ) => {
+            const MATCH = fuzzyMatch( item[ key ], currentQuery );
+
+            if ( MATCH ) {
+                matches[ key ] = MATCH.ranges;
+            }
+
+            return matches;
+        }, {} );
+    }
+
+
+    /**
+     * Return the number of results of a list or of a grouped list
+     * @ignore
+     *
+     * @param {Object[]|Object} _data - Array of results or { groups }
+     *
+     * @returns {Number}
+     */
+    function getResultsCount( _data ) {
+        if ( !_data ) {
+            return 0;
+        }
+
+        if ( _data.groups ) {
+            return _data.groups.reduce( ( count, group ) => {
+                return count + ( group.results ? group.results.length : 0 );
+            }, 0 );
+        }
+
+        return _data.length;
+    }
+
+
+    /**
+     * Filter a list or a grouped list of results.
+     * The groups are shallow copied: the filtered data, from the cache for example, is not modified
+     * @ignore
+     *
+     * @param {Object[]|Object} _data - Array of results or { groups }
+     * @param {Function} filter - item => Boolean
+     *
+     * @returns {Object[]|Object}
+     */
+    function filterResults( _data, filter ) {
+        if ( _data.groups ) {
+            return {
+                "groups": _data.groups.map( group => {
+                    return Object.assign( {}, group, {
+                        "results": group.results ? group.results.filter( filter ) : group.results
+                    } );
+                } )
+            };
+        }
+
+        return _data.filter( filter );
+    }
+
+
+    /**
+     * Return the maximum number of displayed results of a group
+     * @ignore
+     *
+     * @param {Object} group
+     *
+     * @returns {Number} - 0 for no limit
+     */
+    function getGroupMax( group ) {
+        if ( options.groupMax && typeof options.groupMax === 'object' ) {
+            return options.groupMax[ group.id ] || 0;
+        }
+
+        return options.groupMax || 0;
+    }
+
+
+    /**
+     * Render the items of a list
+     * @ignore
+     *
+     * @param {Object[]} _list
+     * @param {Object} [_group]
+     * @param {RegExp} [_reQuery]
+     *
+     * @returns {String[]}
+     */
+    function renderItems( _list, _group, _reQuery ) {
+        return _list.map( item => {
+            let index = currentOptions.length;
+
+            currentOptions.push( {
+                item,
+                "group": _group
+            } );
+
+            currentResults.push( item );
 
-        html = _list.map( ( item, i ) => {
             options.renderMark(
                 {
                     "resultItem": item,
-                    reQuery,
-                    "query": _query,
-                    "index": i,
+                    "matches": getMatches( item ),
+                    "reQuery": _reQuery,
+                    "query": currentQuery,
+                    index,
                     "resultList": _list,
                     "cssClass": className
                 }
             );
+
             return options.render( {
                 "resultItem": item,
-                "index": i,
+                index,
                 "itemsList": _list,
+                "group": _group,
                 "cssClass": className
             } );
         } );
+    }
 
-        $layer.innerHTML = options.renderList( {
-            "resultList": html,
-            "cssClass": className
-        } );
-
-        $list = $layer.querySelector( className.list );
 
-        selectionLocked = false;
-        nbResults = _list.length;
-        selectedIndex = -1;
+    /**
+     * Render the groups of results
+     * @ignore
+     *
+     * @param {Object[]} _groups
+     * @param {RegExp} [_reQuery]
+     *
+     * @returns {String[]}
+     */
+    function renderGroups( _groups, _reQuery ) {
+        return _groups
+            .filter( group => group.results && group.results.length )
+            .map( ( group, groupIndex ) => {
+                let max, results, html, index;
+
+                max = getGroupMax( group );
+                results = max ? group.results.slice( 0, max ) : group.results;
+
+                html = renderItems( results, group, _reQuery );
+
+                if ( results.length < Math.max( group.total || 0, group.results.length ) ) {
+                    index = currentOptions.length;
+
+                    currentOptions.push( {
+                        group,
+                        "isSeeAll": true
+                    } );
+
+                    html.push( options.renderSeeAll( {
+                        group,
+                        index,
+                        "label": l10n.seeAll.replace( '{GROUP}', group.label ),
+                        "cssClass": className
+                    } ) );
+                }
 
-        return this;
+                return options.renderGroup( {
+                    group,
+                    "id": `${ ID }-group-${ groupIndex }`,
+                    "resultList": html,
+                    "cssClass": className
+                } );
+            } );
     }
 
 
@@ -277,69 +575,86 @@ export function Autocomplete(userOptions = {}) {
      * Create the results list
      * @ignore
      *
-     * @param {string[]} _list - Array of result
+     * @param {Object[]|Object} _data - Array of results or { groups }
+     * @param {string} [_query] - Nothing to display all items without marking
      *
      * @returns {Autocomplete}
      */
-    function setAll( _list ) {
-        let html;
+    function set( _data, _query ) {
+        let html, reQuery;
 
-        currentResults = _list;
-        currentQuery = '';
+        currentResults = [];
+        currentOptions = [];
+        currentQuery = _query || '';
 
-        html = [];
         hasResults = true;
 
-        html = _list.map( ( item, i ) => {
-            options.renderMark(
-                {
-                    "resultItem": item,
-                    "index": i,
-                    "resultList": _list,
-                    "cssClass": className
-                }
-            );
-            return options.render( {
-                "resultItem": item,
-                "index": i,
-                "itemsList": _list,
-                "cssClass": className
-            } );
-        } );
+        reQuery = _query ? getQueryRegExp( _query ) : null;
+
+        html = _data.groups ?
+            renderGroups( _data.groups, reQuery ) :
+            renderItems( _data, null, reQuery );
 
         $layer.innerHTML = options.renderList( {
             "resultList": html,
             "cssClass": className
         } );
 
-        $list = $layer.querySelector( className.list );
+        initList( true );
 
         selectionLocked = false;
-        nbResults = _list.length;
+        nbResults = currentOptions.length;
         selectedIndex = -1;
 
+        announce( currentResults.length === 1 ? l10n.oneResult : l10n.results.replace( '{COUNT}', currentResults.length ) );
+
         return this;
     }
 
 
+    /**
+     * Display the results or the "No result" message
+     * @ignore
+     *
+     * @param {Object[]|Object} _data - Array of results or { groups }
+     * @param {string} [_query]
+     */
+    function setResults( _data, _query ) {
+        _data = excludeSelectedItems( _data );
+
+        if ( getResultsCount( _data ) ) {
+            set( _data, _query );
+        }
+        else {
+            setError( l10n.noResult );
+        }
+    }
+
+
     /**
      * Display error message (like "No results")
      * @ignore
+     *
+     * @param {String} [errorMsg=l10n.noResult]
      */
-    function setError() {
+    function setError( errorMsg = l10n.noResult ) {
         let html = [];
 
         html.push( options.renderError( {
-            "errorMsg": l10n.noResult,
+            errorMsg,
             "query": currentQuery,
             "cssClass": className
         } ) );
 
         $layer.innerHTML = tplSuggestion.replace( '{LIST}', html );
 
+        initList( false );
+
         selectionLocked = true;
         selectedIndex = 0;
         nbResults = 0;
+
+        announce( errorMsg );
     }
 
 
@@ -350,6 +665,8 @@ export function Autocomplete(userOptions = {}) {
      * @param {Number} selectedIndex - Index of the selected item
      */
     function select( _selectedIndex ) {
+        let selectedOption, groupId;
+
         if ( selectionLocked ) {
             return;
         }
@@ -357,11 +674,55 @@ export function Autocomplete(userOptions = {}) {
         selectedIndex =
             typeof _selectedIndex === 'undefined' ? selectedIndex : _selectedIndex;
 
+        selectedOption = currentOptions[ selectedIndex ];
+
+        if ( !selectedOption ) {
+            return;
+        }
+
+        if ( selectedOption.isSeeAll ) {
+            hide();
+
+            if ( options.onSeeAll ) {
+                options.onSeeAll.call(
+                    SELF,
+                    {
+                        "group": selectedOption.group,
+                        "query": currentQuery
+                    }
+                );
+            }
+
+            return;
+        }
+
+        groupId = selectedOption.group ? selectedOption.group.id : undefined;
+
+        if ( options.multiple ) {
+            $field.value = '';
+            hide();
+
+            if ( addSelectedItem( selectedOption.item ) && options.onSelect ) {
+                options.onSelect.call(
+                    SELF,
+                    {
+                        "resultsList": currentResults,
+                        "query": currentQuery,
+                        "item": selectedOption.item,
+                        "group": groupId
+                    }
+                );
+            }
+
+            return;
+        }
+
         if ( options.updateOnSelect && options.renderFieldValue ) {
             $field.value = options.renderFieldValue.call(
                 SELF,
                 {
-                    "item": currentResults[ selectedIndex ],
+                    "item": selectedOption.item,
+                    "group": groupId,
                     "query": currentQuery,
                     "resultList": currentResults
                 }
@@ -376,7 +737,148 @@ export function Autocomplete(userOptions = {}) {
                 {
                     "resultsList": currentResults,
                     "query": currentQuery,
-                    "item": currentResults[ selectedIndex ]
+                    "item": selectedOption.item,
+                    "group": groupId
+                }
+            );
+        }
+    }
+
+
+    /**
+     * Return the value of an item sent with the form, in multiple mode
+     * @ignore
+     *
+     * @param {Object} item
+     *
+     * @returns {String}
+     */
+    function getItemValue( item ) {
+        return String( options.renderValue.call( SELF, { item } ) );
+    }
+
+
+    /**
+     * Remove the already selected items from the results, in multiple mode
+     * @ignore
+     *
+     * @param {Object[]|Object} _data - Array of results or { groups }
+     *
+     * @returns {Object[]|Object}
+     */
+    function excludeSelectedItems( _data ) {
+        let values;
+
+        if ( !options.multiple || !selectedItems.length || !_data ) {
+            return _data;
+        }
+
+        values = selectedItems.map( getItemValue );
+
+        return filterResults( _data, item => !values.includes( getItemValue( item ) ) );
+    }
+
+
+    /**
+     * Update the tags and the form values with the selected items
+     * @ignore
+     *
+     * @param {Boolean} [silent=false] - If true, the change event is not triggered on $valueField
+     */
+    function renderTags( silent ) {
+        let values, labels;
+
+        values = selectedItems.map( getItemValue );
+        labels = selectedItems.map( item => options.renderFieldValue.call( SELF, { item } ) );
+
+        $tags.innerHTML = selectedItems.map( ( item, index ) => {
+            return options.renderTag.call( SELF, {
+                item,
+                index,
+                "label": labels[ index ],
+                l10n,
+                "cssClass": className
+            } );
+        } ).join( '' );
+
+        if ( $valueField ) {
+            values.forEach( ( value, index ) => {
+                if ( !Array.from( $valueField.options ).some( $option => $option.value === value ) ) {
+                    $valueField.add( new Option( labels[ index ], value ) );
+                }
+            } );
+
+            Array.from( $valueField.options ).forEach( $option => {
+                $option.selected = values.includes( $option.value );
+            } );
+
+            if ( !silent ) {
+                $valueField.dispatchEvent( new Event( 'change', { "bubbles": true } ) );
+            }
+
+            return;
+        }
+
+        $hiddenInputs.forEach( $input => remove( $input ) );
+
+        $hiddenInputs = values.map( value => {
+            let $input = document.createElement( 'INPUT' );
+
+            $input.type = 'hidden';
+            $input.name = options.valueName;
+            $input.value = value;
+
+            return insertAfter( $input, $field );
+        } );
+    }
+
+
+    /**
+     * Add an item to the selection, in multiple mode
+     * @ignore
+     *
+     * @param {Object} item
+     *
+     * @returns {Boolean} - False if the item is already selected
+     */
+    function addSelectedItem( item ) {
+        let value = getItemValue( item );
+
+        if ( selectedItems.some( selectedItem => getItemValue( selectedItem ) === value ) ) {
+            return false;
+        }
+
+        selectedItems.push( item );
+
+        renderTags();
+
+        return true;
+    }
+
+
+    /**
+     * Remove an item of the selection, in multiple mode
+     * @ignore
+     *
+     * @param {Number} index
+     */
+    function removeSelectedItem( index ) {
+        let item = selectedItems[ index ];
+
+        if ( !item ) {
+            return;
+        }
+
+        selectedItems.splice( index, 1 );
+
+        renderTags();
+
+        if ( options.onRemove ) {
+            options.onRemove.call(
+                SELF,
+                {
+                    item,
+                    "selectedItems": selectedItems.slice()
                 }
             );
         }
@@ -401,14 +903,20 @@ export function Autocomplete(userOptions = {}) {
 
         if ( $item ) {
             $item.classList.remove( className.hover );
+            $item.setAttribute( 'aria-selected', 'false' );
         }
 
-        $item = $layer.querySelectorAll( 'li' )[ _index ];
+        $item = $items[ _index ];
 
-        if ( $item ) {
-            $item.classList.add( className.hover );
+        if ( !$item ) {
+            $field.removeAttribute( 'aria-activedescendant' );
+            return;
         }
 
+        $item.classList.add( className.hover );
+        $item.setAttribute( 'aria-selected', 'true' );
+        $field.setAttribute( 'aria-activedescendant', $item.id );
+
         // $field.value = query;
 
         if ( $list ) {
@@ -444,6 +952,194 @@ export function Autocomplete(userOptions = {}) {
     }
 
 
+    /**
+     * Return the number of items visible in the layer
+     * @ignore
+     *
+     * @returns {Number}
+     */
+    function getPageSize() {
+        let itemHeight = $items.length ? outerHeight( $items[ 0 ] ) : 0;
+
+        return itemHeight ? Math.max( 1, Math.floor( options.maxHeight / itemHeight ) ) : PAGE_SIZE;
+    }
+
+
+    /**
+     * Highlight the item one page after the current one
+     * @ignore
+     */
+    function hoverNextPage() {
+        hover( Math.min( selectedIndex + getPageSize(), nbResults - 1 ) );
+    }
+
+
+    /**
+     * Highlight the item one page before the current one
+     * @ignore
+     */
+    function hoverPreviousPage() {
+        hover( Math.max( selectedIndex - getPageSize(), 0 ) );
+    }
+
+
+    /**
+     * Get the results from the source option
+     * @ignore
+     *
+     * @param {String|null} _query - null to get all items
+     * @param {Function} callback - Called with the results
+     */
+    function loadSource( _query, callback ) {
+        let sourceResult;
+
+        sourceQuery = _query;
+
+        if ( Array.isArray( options.source ) ) {
+            callback(
+                _query === null ?
+                    options.source :
+                    fuzzySearch( options.source, _query, options.searchKeys ).map( result => result.item )
+            );
+
+            return;
+        }
+
+        // Ignore the results of a previous query
+        function onSourceResults( results ) {
+            if ( _query === sourceQuery ) {
+                callback( results );
+            }
+        }
+
+        sourceResult = options.source( _query, onSourceResults );
+
+        if ( sourceResult && typeof sourceResult.then === 'function' ) {
+            sourceResult
+                .then( onSourceResults )
+                .catch( () => {
+                    if ( _query !== sourceQuery ) {
+                        return;
+                    }
+
+                    setError( l10n.error );
+                    show();
+                } );
+        }
+    }
+
+
+    /**
+     * Display the results of the longest cached query starting like the query, filtered with it
+     * @ignore
+     *
+     * @param {String} _query
+     */
+    function setPrefixResults( _query ) {
+        let prefix, results, normalizedQuery;
+
+        normalizedQuery = normalizeString( _query );
+
+        prefix = cacheQuery.keys()
+            .filter( key => key.length >= options.minchar && key.length < _query.length && normalizedQuery.indexOf( normalizeString( key ) ) === 0 )
+            .sort( ( a, b ) => b.length - a.length )[ 0 ];
+
+        if ( !prefix ) {
+            return;
+        }
+
+        results = filterResults( cacheQuery.get( prefix ), item => {
+            return options.searchKeys.some( key => fuzzyMatch( item[ key ], _query ) );
+        } );
+
+        if ( getResultsCount( results ) ) {
+            setResults( results, _query );
+            show();
+        }
+    }
+
+
+    /**
+     * Abort the current ajax request
+     * @ignore
+     */
+    function abortRequest() {
+        if ( requestAbortController ) {
+            requestAbortController.abort();
+        }
+
+        requestAbortController = null;
+        requestPromise = null;
+        requestQuery = null;
+    }
+
+
+    /**
+     * Load the results of a query from the url.
+     * The request is shared if the same query is already loading.
+     * @ignore
+     *
+     * @param {String} _query
+     *
+     * @returns {Promise} - Resolved with the normalized data
+     */
+    function requestResults( _query ) {
+        let params, myHeaders, newUrl, promise;
+
+        if ( requestPromise && requestQuery === _query ) {
+            return requestPromise;
+        }
+
+        abortRequest();
+
+        requestAbortController = new AbortController();
+        requestQuery = _query;
+
+        params = options.queryParams( _query );
+
+        params = Object.keys( params ).reduce( ( result, key, index ) => {
+            return (index > 0 ? result + '&' : '') + key + '=' + params[ key ];
+        }, '' );
+
+        newUrl = [ url, url.indexOf( '?' ) > -1 ? '&' : '?', params ].join('');
+
+        myHeaders = new Headers();
+        myHeaders.append( 'X-Requested-With', 'XMLHttpRequest' );
+
+        promise = fetch( newUrl, {
+            "signal": requestAbortController.signal,
+            "headers": myHeaders
+        } )
+            .then( response => {
+                if ( response.status >= 200 && response.status < 300 ) {
+                    return response;
+                }
+                else {
+                    let error = new Error( response.statusText );
+                    error.response = response;
+                    throw error;
+                }
+            })
+            .then( function( response ) {
+                return response.json();
+            } )
+            .then( _data => {
+                return options.normalize( _data );
+            } )
+            .finally( () => {
+                if ( requestPromise === promise ) {
+                    requestAbortController = null;
+                    requestPromise = null;
+                    requestQuery = null;
+                }
+            } );
+
+        requestPromise = promise;
+
+        return promise;
+    }
+
+
     /**
      * Load the results list
      * @ignore
@@ -451,90 +1147,68 @@ export function Autocomplete(userOptions = {}) {
      * @param {String} _query
      */
     function load( _query ) {
+        let cachedResults;
+
         currentResults = [];
 
         hasResults = false;
 
-        if (!!cacheQuery[_query] && options.useCache) {
-            set(cacheQuery[_query], _query);
+        cachedResults = options.useCache ? cacheQuery.get( _query ) : undefined;
+
+        if ( cachedResults ) {
+            setResults( cachedResults, _query );
             show();
         }
         else if ( options.source ) {
-            options.source( _query, results => {
-                cacheQuery[ _query ] = results;
-
-                if ( results.length ) {
-                    set( results, _query );
-                }
-                else {
-                    setError( l10n.noResult );
+            loadSource( _query, results => {
+                if ( options.useCache ) {
+                    cacheQuery.set( _query, results );
                 }
 
+                setResults( results, _query );
+
                 show();
             } );
 
             return;
         }
         else {
-            let params, myHeaders, newUrl;
-
-            if ( requestAbortController ) {
-                requestAbortController.abort();
+            if ( options.useCache && options.cache.usePrefix ) {
+                setPrefixResults( _query );
             }
 
-            requestAbortController = new AbortController();
-
-            params = options.queryParams( _query );
-
-            params = Object.keys( params ).reduce( ( result, key, index ) => {
-                return (index > 0 ? result + '&' : '') + key + '=' + params[ key ];
-            }, '' );
+            requestResults( _query )
+                .then( normalizedData => {
+                    let results;
 
-            newUrl = [ url, url.indexOf( '?' ) > -1 ? '&' : '?', params ].join('');
-
-            myHeaders = new Headers();
-            myHeaders.append( 'X-Requested-With', 'XMLHttpRequest' );
-
-            fetch( newUrl, {
-                "signal": requestAbortController.signal,
-                "headers": myHeaders
-            } )
-                .then( response => {
-                    if ( response.status >= 200 && response.status < 300 ) {
-                        return response;
-                    }
-                    else {
-                        let error = new Error( response.statusText );
-                        error.response = response;
-                        throw error;
-                    }
-                })
-                .then( function( response ) {
-                    return response.json();
-                } )
-                .then( _data => {
-                    let normalizedData = options.normalize( _data );
+                    results = normalizedData.groups ? { "groups": normalizedData.groups } : normalizedData.results;
 
                     if (
                         normalizedData.success &&
-                        normalizedData.results.length > 0
+                        getResultsCount( results ) > 0
                     ) {
-                        set( normalizedData.results, _query);
-                        cacheQuery[ _query ] = normalizedData.results;
+                        setResults( results, _query );
+
+                        if ( options.useCache ) {
+                            cacheQuery.set( _query, results );
+                        }
                     }
-                    else if ( !normalizedData.results.length ) {
+                    else if ( !getResultsCount( results ) ) {
                         setError( l10n.noResult );
                     }
                     else {
                         setError( l10n.error) ;
                     }
+
+                    show();
                 } )
-                .catch( () => {
-                    setError();
-                } )
-                .finally(() => {
+                .catch( error => {
+                    if ( error.name === 'AbortError' ) {
+                        return;
+                    }
+
+                    setError( l10n.error );
                     show();
-                    requestAbortController = null;
                 } );
         }
     }
@@ -542,12 +1216,29 @@ export function Autocomplete(userOptions = {}) {
 
     function onKeydown( e ) {
         switch ( e.keyCode ) {
+            case 8: // BACKSPACE
+                // Remove the last tag when the field is empty
+                if ( options.multiple && !$field.value && selectedItems.length && !SELF.isDisable ) {
+                    removeSelectedItem( selectedItems.length - 1 );
+                }
+                break;
+
             case 38: // UP
             case 40: // DOWN
             case 13: // ENTER
             case 27: // ESCAPE
                 e.preventDefault();
                 break;
+
+            case 33: // PAGE UP
+            case 34: // PAGE DOWN
+            case 35: // END
+            case 36: // HOME
+                // Keep the native behavior (caret or page move) when the list is closed
+                if ( isOpened && !selectionLocked ) {
+                    e.preventDefault();
+                }
+                break;
         }
     }
 
@@ -581,16 +1272,36 @@ export function Autocomplete(userOptions = {}) {
                 }
                 break;
 
+            case 36: // HOME
+                if ( isOpened ) {
+                    hover( 0 );
+                }
+                break;
+
+            case 35: // END
+                if ( isOpened ) {
+                    hover( nbResults - 1 );
+                }
+                break;
+
+            case 33: // PAGE UP
+                if ( isOpened ) {
+                    hoverPreviousPage();
+                }
+                break;
+
+            case 34: // PAGE DOWN
+                if ( isOpened ) {
+                    hoverNextPage();
+                }
+                break;
+
             case 39: // RIGHT
             case 37: // LEFT
-            case 35: // END
-            case 36: // HOME
             case 16: // SHIFT
             case 17: // CTRL
             case 18: // ALT
             case 20: // CAPS LOCK
-            case 33: // PAGE UP
-            case 34: // PAGE DOWN
             case 91: // CMD (Apple)
                 break;
 
@@ -606,9 +1317,7 @@ export function Autocomplete(userOptions = {}) {
                 }
                 else {
                     hide();
-                    if ( requestAbortController ) {
-                        requestAbortController.abort();
-                    }
+                    abortRequest();
                 }
                 break;
         }
@@ -642,6 +1351,43 @@ export function Autocomplete(userOptions = {}) {
     }
 
 
+    function onTapTagRemove( e, $target ) {
+        if ( SELF.isDisable ) {
+            return;
+        }
+
+        removeSelectedItem( +$target.getAttribute( 'data-tag-idx' ) );
+
+        $field.focus();
+    }
+
+
+    // Multiple mode
+
+    if ( options.multiple ) {
+        $tags = document.createElement( 'UL' );
+        $tags.classList.add( className.tags );
+
+        insertBefore( $tags, $field );
+
+        if ( $valueField ) {
+            selectedItems = Array.from( $valueField.selectedOptions ).map( $option => {
+                return {
+                    "name": $option.text,
+                    "value": $option.value
+                };
+            } );
+        }
+
+        renderTags( true );
+
+        gesture( $tags, '__AutocompleteTapTag', {
+            "selector": `.${ className.tagRemove }`,
+            "tap": onTapTagRemove
+        } );
+    }
+
+
     // Bind
 
 
@@ -669,13 +1415,8 @@ export function Autocomplete(userOptions = {}) {
             return this;
         }
 
-        options.source( null, results => {
-            if ( results.length ) {
-                setAll( results );
-            }
-            else {
-                setError( l10n.noResult );
-            }
+        loadSource( null, results => {
+            setResults( results );
 
             show();
         } );
@@ -684,6 +1425,38 @@ export function Autocomplete(userOptions = {}) {
     };
 
 
+    /**
+     * Remove a selected item, in multiple mode
+     *
+     * @param {Number} index - Index of the item in the selectedItems list
+     *
+     * @returns {Autocomplete}
+     */
+    this.removeItem = index => {
+        removeSelectedItem( index );
+
+        return this;
+    };
+
+
+    /**
+     * Remove all selected items, in multiple mode
+     *
+     * @returns {Autocomplete}
+     */
+    this.clearItems = () => {
+        if ( !options.multiple ) {
+            return this;
+        }
+
+        selectedItems = [];
+
+        renderTags();
+
+        return this;
+    };
+
+
     /**
      * Disable the autocomplete
      *
@@ -728,14 +1501,26 @@ export function Autocomplete(userOptions = {}) {
 
         gestureOff( $layer, '__AutocompleteTapLayer' );
 
+        if ( $tags ) {
+            gestureOff( $tags, '__AutocompleteTapTag' );
+            remove( $tags );
+        }
+
+        $hiddenInputs.forEach( $input => remove( $input ) );
+
         clearTimeout( hideTimeoutId );
+        clearTimeout( announceTimeoutId );
 
-        if ( requestAbortController ) {
-            requestAbortController.abort();
-            requestAbortController = null;
-        }
+        floatingPosition.stop();
+
+        abortRequest();
+
+        [ 'role', 'aria-autocomplete', 'aria-expanded', 'aria-controls', 'aria-activedescendant' ].forEach( attribute => {
+            $field.removeAttribute( attribute );
+        } );
 
         remove( $layer );
+        remove( $liveRegion );
 
         return this;
     };
@@ -755,6 +1540,7 @@ export function Autocomplete(userOptions = {}) {
     this.resetResults = () => {
         currentQuery = '';
         currentResults = [];
+        currentOptions = [];
         selectedIndex = -1;
         nbResults = 0;
         hasResults = false;
@@ -1,10 +1,34 @@
 import { wait }                   from '@creative-web-solution/front-library/Helpers/wait';
+import { extend }                 from '@creative-web-solution/front-library/Helpers/Extend';
 import { debounce }               from '@creative-web-solution/front-library/Helpers/debounce';
 import { offset }                 from '@creative-web-solution/front-library/DOM/offset';
 import { gesture, gestureOff }    from '@creative-web-solution/front-library/Events/Gesture';
 import { prop }                   from '@creative-web-solution/front-library/DOM/Styles';
 import { aClass, rClass, tClass } from '@creative-web-solution/front-library/DOM/Class';
 import { on, off }                from '@creative-web-solution/front-library/Events/EventsManager';
+import { KeyboardHandler }        from '@creative-web-solution/front-library/Events/KeyboardHandler';
+
+
+// Release velocity (px / s) under which the slider snaps without inertia
+const MIN_INERTIA_VELOCITY = 100;
+// Ease of the inertia. Its speed at the start is INERTIA_EASE_POWER * distance / duration
+const INERTIA_EASE         = 'power3.out';
+const INERTIA_EASE_POWER   = 3;
+const RUBBER_BAND_FACTOR   = 0.55;
+const BOUNCE_DURATION      = 0.4;
+// Time without wheel event before snapping
+const WHEEL_SNAP_DELAY     = 150;
+const WHEEL_LINE_HEIGHT    = 16;
+
+const FOCUSABLE_SELECTOR    = 'a,button,input,textarea,select';
+const VISUALLY_HIDDEN_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+
+const DEFAULT_L10N = {
+    "carousel":  "carousel",
+    "slide":     "slide",
+    "itemLabel": "{POSITION} of {TOTAL}",
+    "position":  "Item {POSITION} of {TOTAL}"
+};
 
 
 /**
@@ -27,16 +51,30 @@ import { on, off }                from '@creative-web-solution/front-library/Eve
  * @param {Function} [options.onMouseLeave]
  * @param {Function} [options.onInit]
  * @param {Function} [options.onChangeState]
+ * @param {String} [options.direction='h'] - Values: 'h' | 'v'. In horizontal mode, dir="rtl" on the slider (or a parent) is supported
  * @param {Number} [options.swipeTresholdMin=40] - in px
  * @param {Number} [options.swipeTresholdSize=0.5] - in % (0.5 = 50% of the size of one item)
+ * @param {Boolean} [options.inertia=true] - Keep the velocity of the drag on release
+ * @param {Number} [options.friction=0.95] - Part of the velocity kept at each frame (60fps) during the inertia, between 0 and 1
+ * @param {Number} [options.overscroll=80] - Maximum elastic overscroll at the edges, in px. 0 to disable the rubber-banding and the bounce
+ * @param {Boolean} [options.wheel=true] - Move the slider with the horizontal mouse wheel or trackpad scroll
+ * @param {Boolean} [options.enableKeyboard=true] - Arrow keys (left and right, or up and down in vertical mode), Home and End on the viewport
+ * @param {Object} [options.l10n]
+ * @param {String} [options.l10n.carousel="carousel"] - aria-roledescription of the slider
+ * @param {String} [options.l10n.slide="slide"] - aria-roledescription of the items
+ * @param {String} [options.l10n.itemLabel="{POSITION} of {TOTAL}"] - aria-label of the items
+ * @param {String} [options.l10n.position="Item {POSITION} of {TOTAL}"] - Announced on snap
  */
 export function DragSlider( $slider, options ) {
     let itemMap, itemArray, listDelta, viewportInfo,
         $items, $list, $viewport, startDragCoords, deltaMove,
         currentSnapItem, firstItem,
-        siteOffset,
+        siteOffset, viewportSize, directionSign,
         debouncedOnResize, isInitialized, hasAlreadyBeenDragged,
-        isDragging, isDraggingActive;
+        isDragging, isDraggingActive, releaseVelocity, wheelTimeoutId,
+        keyboardControls, $liveRegion, announceTimeoutId;
+
+    const SELF = this;
 
     deltaMove = {
         "x": 0
@@ -47,6 +85,19 @@ export function DragSlider( $slider, options ) {
     options.swipeTresholdMin  = options.swipeTresholdMin || 40;
     options.swipeTresholdSize = options.swipeTresholdSize || 0.5;
     options.lockedClass       = options.lockedClass || 'is-locked';
+    options.inertia           = options.inertia ?? true;
+    options.friction          = Math.min( Math.max( options.friction ?? 0.95, 0 ), 0.999 );
+    options.overscroll        = options.overscroll ?? 80;
+    options.wheel             = options.wheel ?? true;
+    options.enableKeyboard    = options.enableKeyboard ?? true;
+    options.l10n              = extend( DEFAULT_L10N, options.l10n );
+    options.direction         = options.direction || 'h';
+
+    const IS_VERTICAL        = options.direction === 'v';
+    const TRANSLATE_PROPERTY = IS_VERTICAL ? 'y' : 'x';
+
+    // 1, or -1 in RTL where the list moves to the right to show the next items
+    directionSign = 1;
 
     itemArray = [];
 
@@ -56,6 +107,17 @@ export function DragSlider( $slider, options ) {
     } );
 
 
+    Object.defineProperty( this, '$slider', {
+        "get": () => $slider
+    } );
+
+
+    // Only available after the initialization
+    Object.defineProperty( this, '$items', {
+        "get": () => $items
+    } );
+
+
     function cancelLinkClick() {
         aClass( $slider, options.dragClass );
     }
@@ -68,10 +130,67 @@ export function DragSlider( $slider, options ) {
     }
 
 
+    /*
+     * The position of the list (deltaMove.x, xPos in the callbacks) is along the axis of the slider:
+     * 0 at the start, negative up to listDelta at the end, whatever the direction.
+     */
+    function getTransform( xPos ) {
+        return {
+            "x": 0,
+            "y": 0,
+            "z": 0,
+            [ TRANSLATE_PROPERTY ]: xPos * directionSign
+        };
+    }
+
+
+    function getTranslate( $target ) {
+        return gsap.getProperty( $target, TRANSLATE_PROPERTY ) * directionSign;
+    }
+
+
+    // Position of the pointer on the axis of the slider, in the same direction as the position of the list
+    function getPointerPosition( coords ) {
+        return IS_VERTICAL ? coords.pageY : coords.pageX * directionSign;
+    }
+
+
+    function getPointerCrossPosition( coords ) {
+        return IS_VERTICAL ? coords.pageX : coords.pageY;
+    }
+
+
+    function getListScrollSize() {
+        return IS_VERTICAL ? $list.scrollHeight : $list.scrollWidth;
+    }
+
+
+    // Distance between the start edge of the list and the start edge of the item
+    function getItemStart( itemOffset, listWidth ) {
+        if ( IS_VERTICAL ) {
+            return itemOffset.top;
+        }
+
+        return directionSign < 0 ? listWidth - itemOffset.left - itemOffset.width : itemOffset.left;
+    }
+
+
     function onResize() {
+        let startMargin;
+
         viewportInfo     = offset( $viewport );
-        siteOffset       = parseInt( prop( $items[ 0 ], 'marginLeft' ), 10 );
-        listDelta        = viewportInfo.width - $list.scrollWidth;
+        directionSign    = !IS_VERTICAL && prop( $slider, 'direction' ) === 'rtl' ? -1 : 1;
+        viewportSize     = IS_VERTICAL ? viewportInfo.height : viewportInfo.width;
+
+        if ( IS_VERTICAL ) {
+            startMargin = 'marginTop';
+        }
+        else {
+            startMargin = directionSign < 0 ? 'marginRight' : 'marginLeft';
+        }
+
+        siteOffset       = parseInt( prop( $items[ 0 ], startMargin ), 10 );
+        listDelta        = viewportSize - getListScrollSize();
 
         const prevIsDraggingActive = isDraggingActive;
         isDraggingActive = listDelta < 0;
@@ -79,11 +198,7 @@ export function DragSlider( $slider, options ) {
         if ( !isDraggingActive ) {
             isDragging = false;
             gsap.killTweensOf( $list );
-            gsap.set( $list, {
-                "x": 0,
-                "y": 0,
-                "z": 0
-            } );
+            gsap.set( $list, getTransform( 0 ) );
         }
 
         tClass( $slider, options.lockedClass, !isDraggingActive );
@@ -94,14 +209,20 @@ export function DragSlider( $slider, options ) {
 
         itemArray.length = 0;
 
+        const LIST_WIDTH = offset( $list ).width;
+
         $items.forEach( ( $item, index ) => {
             const ITEM_OFFSET = offset( $item, false, $list );
+            const ITEM_START  = getItemStart( ITEM_OFFSET, LIST_WIDTH );
 
             itemArray.push({
                 index,
                 "isFirst": index === 0,
-                "isLast":  index === $items.length - 1 || ITEM_OFFSET.left > Math.abs( listDelta ),
+                "isLast":  index === $items.length - 1 || ITEM_START > Math.abs( listDelta ),
                 $item,
+                "$links":  $item.querySelectorAll( FOCUSABLE_SELECTOR ),
+                "start":   ITEM_START,
+                "size":    IS_VERTICAL ? ITEM_OFFSET.height : ITEM_OFFSET.width,
                 "info": ITEM_OFFSET
             });
 
@@ -116,17 +237,114 @@ export function DragSlider( $slider, options ) {
         else {
             currentSnapItem = itemArray[ currentSnapItem.index ];
         }
+
+        updateFocusability( deltaMove.x );
     }
 
 
-    function snapToItemAnimation( snapItem, snapToEnd ) {
+    function formatPosition( text, item ) {
+        return text
+            .replace( '{POSITION}', item.index + 1 )
+            .replace( '{TOTAL}', $items.length );
+    }
+
+
+    function announce( item ) {
+        $liveRegion.textContent = '';
+
+        clearTimeout( announceTimeoutId );
+
+        // Emptied before, so the same message can be read again
+        announceTimeoutId = setTimeout( () => {
+            $liveRegion.textContent = formatPosition( options.l10n.position, item );
+        }, 100 );
+    }
+
+
+    // The items out of the viewport at xPos are hidden to screen readers and their links are not focusable
+    function updateFocusability( xPos ) {
+        let hasLostFocus;
+
+        itemArray.forEach( item => {
+            const IS_VISIBLE = item.start + xPos < viewportSize && item.start + item.size + xPos > 0;
+
+            item.$item.setAttribute( 'aria-hidden', !IS_VISIBLE );
+
+            item.$links.forEach( $link => {
+                $link.setAttribute( 'tabindex', IS_VISIBLE ? 0 : -1 );
+            } );
+
+            hasLostFocus = hasLostFocus || !IS_VISIBLE && item.$item.contains( document.activeElement );
+        } );
+
+        if ( hasLostFocus ) {
+            $viewport.focus();
+        }
+    }
+
+
+    function onSnapItem( snapItem, finalX ) {
+        if ( snapItem !== currentSnapItem ) {
+            announce( snapItem );
+        }
+
+        updateFocusability( finalX );
+    }
+
+
+    // Elastic resistance: the more it goes beyond the edge, the less it moves, up to options.overscroll
+    function rubberBand( overflow ) {
+        if ( !options.overscroll ) {
+            return 0;
+        }
+
+        return Math.sign( overflow ) * options.overscroll *
+            ( 1 - 1 / ( Math.abs( overflow ) * RUBBER_BAND_FACTOR / options.overscroll + 1 ) );
+    }
+
+
+    function clampX( xPos ) {
+        return Math.max( Math.min( 0, xPos ), listDelta );
+    }
+
+
+    /*
+     * Go to finalX, starting at the release velocity.
+     * If the projected position is beyond the edge, go past it and bounce back.
+     */
+    function inertiaAnimation( finalX, inertia, onUpdate ) {
+        const BOUNCE_X = finalX + inertia.overscroll;
+        const DURATION = Math.abs( BOUNCE_X - deltaMove.x ) * INERTIA_EASE_POWER / Math.abs( inertia.velocity );
+
+        gsap.to( $list, {
+            "duration":   Math.min( Math.max( DURATION, 0.3 ), 1.5 ),
+            ...getTransform( BOUNCE_X ),
+            "ease":       INERTIA_EASE,
+            onUpdate,
+            "onComplete": () => {
+                if ( !inertia.overscroll ) {
+                    return;
+                }
+
+                gsap.to( $list, {
+                    "duration": BOUNCE_DURATION,
+                    ...getTransform( finalX ),
+                    "ease":     "power2.inOut",
+                    onUpdate
+                } );
+            }
+        } );
+    }
+
+
+    function snapToItemAnimation( snapItem, snapToEnd, inertia ) {
         let finalX;
 
         if ( snapToEnd ) {
             finalX = listDelta;
         }
         else {
-            finalX = -1 * snapItem.info.left + siteOffset;
+            finalX = -1 * snapItem.start + siteOffset;
 
             finalX = Math.max( Math.min( 0, finalX ), listDelta );
 
@@ -139,6 +357,8 @@ export function DragSlider( $slider, options ) {
         const IS_SNAP_TO_END   = finalX === listDelta;
         const IS_SNAP_TO_START = finalX === 0;
 
+        onSnapItem( snapItem, finalX );
+
         options.onSnap?.( {
             "item":        snapItem,
             "xPos":        deltaMove.x,
@@ -147,25 +367,30 @@ export function DragSlider( $slider, options ) {
             "isAtEnd":     IS_SNAP_TO_END
         } );
 
-        gsap.to( $list, {
-            "duration": 0.3,
-            "x":        finalX,
-            "y":        0,
-            "z":        0,
-            "onUpdate": function() {
-                deltaMove.x = gsap.getProperty( this.targets()[ 0 ], 'x' );
+        const ON_UPDATE = function() {
+            deltaMove.x = getTranslate( this.targets()[ 0 ] );
 
-                options.onSnapUpdate?.( {
-                    "item":        snapItem,
-                    "xPos":        deltaMove.x,
-                    "moveMaxSize": listDelta,
-                    "isAtStart":   IS_SNAP_TO_START,
-                    "isAtEnd":     IS_SNAP_TO_END
-                } );
-            }
-        } );
+            options.onSnapUpdate?.( {
+                "item":        snapItem,
+                "xPos":        deltaMove.x,
+                "moveMaxSize": listDelta,
+                "isAtStart":   IS_SNAP_TO_START,
+                "isAtEnd":     IS_SNAP_TO_END
+            } );
+        };
 
         currentSnapItem = snapItem;
+
+        if ( inertia ) {
+            inertiaAnimation( finalX, inertia, ON_UPDATE );
+            return;
+        }
+
+        gsap.to( $list, {
+            "duration": 0.3,
+            ...getTransform( finalX ),
+            "onUpdate": ON_UPDATE
+        } );
     }
 
 
@@ -175,7 +400,7 @@ export function DragSlider( $slider, options ) {
         const absXPos = Math.abs( xPos );
 
         for ( const item of itemArray ) {
-            if ( item.info.left <= absXPos ) {
+            if ( item.start <= absXPos ) {
                 snapItem  = item;
                 continue;
             }
@@ -195,11 +420,11 @@ export function DragSlider( $slider, options ) {
         const absXPos = Math.abs( xPos );
 
         for ( const item of itemArray ) {
-            if ( item.info.left < absXPos ) {
+            if ( item.start < absXPos ) {
                 continue;
             }
 
-            lastDelta = Math.abs( absXPos - item.info.left );
+            lastDelta = Math.abs( absXPos - item.start );
             snapItem  = item;
             break;
         }
@@ -207,7 +432,7 @@ export function DragSlider( $slider, options ) {
         const lastItem = itemArray[ itemArray.length - 1 ];
 
         if ( !snapItem.isLast &&
-            Math.abs( absXPos + viewportInfo.width - ( lastItem.info.left + lastItem.info.width ) ) < lastDelta
+            Math.abs( absXPos + viewportSize - ( lastItem.start + lastItem.size ) ) < lastDelta
         ) {
             snapItem = lastItem;
             snapToEnd = true;
@@ -227,7 +452,7 @@ export function DragSlider( $slider, options ) {
 
         for ( const item of itemArray ) {
             const IS_LAST_DELTA = typeof lastDelta !== 'undefined';
-            let newDelta = Math.abs( absXPos - item.info.left );
+            let newDelta = Math.abs( absXPos - item.start );
 
             if ( !IS_LAST_DELTA || newDelta < lastDelta ) {
                 lastDelta = newDelta;
@@ -239,7 +464,7 @@ export function DragSlider( $slider, options ) {
             }
 
             if ( !snapItem.isLast && item.index === itemMap.size - 1 ) {
-                newDelta = Math.abs( Math.abs( deltaMove.x ) + viewportInfo.width - ( item.info.left + item.info.width ) );
+                newDelta = Math.abs( absXPos + viewportSize - ( item.start + item.size ) );
 
                 if ( newDelta < lastDelta ) {
                     lastDelta = newDelta;
@@ -260,17 +485,19 @@ export function DragSlider( $slider, options ) {
         let snapItem;
 
         const ABS_DELTA_X = Math.abs( deltaMove.deltaX );
+        // The list can be beyond the edges after a rubber-banding
+        const X_POS       = clampX( deltaMove.x );
 
-        if ( ABS_DELTA_X >= options.swipeTresholdMin && ABS_DELTA_X < Math.min( firstItem.info.width * options.swipeTresholdSize, options.swipeTresholdMin * 3 ) ) {
+        if ( ABS_DELTA_X >= options.swipeTresholdMin && ABS_DELTA_X < Math.min( firstItem.size * options.swipeTresholdSize, options.swipeTresholdMin * 3 ) ) {
             if ( deltaMove.deltaX < 0 ) {
-                snapItem = getFirstNextItem( deltaMove.x );
+                snapItem = getFirstNextItem( X_POS );
             }
             else {
-                snapItem = getFirstPreviousItem( deltaMove.x );
+                snapItem = getFirstPreviousItem( X_POS );
             }
         }
         else {
-            snapItem = getClosestItem( deltaMove.x );
+            snapItem = getClosestItem( X_POS );
         }
 
         if ( !snapItem ) {
@@ -281,6 +508,45 @@ export function DragSlider( $slider, options ) {
     }
 
 
+    /*
+     * Project the position where the list would stop with the friction
+     * and snap to the next item in this direction
+     */
+    function inertiaSnapToItem( velocity ) {
+        let snapItem, overflow;
+
+        const FRAME_COUNT = Math.log( MIN_INERTIA_VELOCITY / Math.abs( velocity ) ) / Math.log( options.friction );
+        const DISTANCE    = velocity / 60 * ( 1 - Math.pow( options.friction, FRAME_COUNT ) ) / ( 1 - options.friction );
+        const TARGET_X    = deltaMove.x + DISTANCE;
+        const X_POS       = clampX( TARGET_X );
+
+        if ( X_POS === listDelta ) {
+            snapItem = {
+                "snapItem":  itemArray[ itemArray.length - 1 ],
+                "snapToEnd": true
+            };
+        }
+        else if ( velocity < 0 ) {
+            snapItem = getFirstNextItem( X_POS );
+        }
+        else {
+            snapItem = getFirstPreviousItem( X_POS );
+        }
+
+        if ( !snapItem.snapItem ) {
+            snapToItem();
+            return;
+        }
+
+        overflow = TARGET_X - X_POS;
+
+        snapToItemAnimation( snapItem.snapItem, snapItem.snapToEnd, {
+            velocity,
+            "overscroll": rubberBand( overflow )
+        } );
+    }
+
+
     function onStartDrag( e, $target, coords ) {
         if ( !hasAlreadyBeenDragged ) {
             onResize();
@@ -294,13 +560,23 @@ export function DragSlider( $slider, options ) {
         isDragging = true;
 
         gsap.killTweensOf( $list );
+        clearTimeout( wheelTimeoutId );
 
         startDragCoords = coords;
-        listDelta       = viewportInfo.width - $list.scrollWidth;
+        listDelta       = viewportSize - getListScrollSize();
+        releaseVelocity = 0;
+
+        // deltaX: along the axis of the slider, deltaY: across
+        deltaMove.newX                = deltaMove.x;
+        deltaMove.deltaX              = 0;
+        deltaMove.deltaY              = 0;
+        deltaMove.lastPointerPosition = getPointerPosition( coords );
+        deltaMove.direction           = 0;
 
         gesture( document.body, 'dragSlider', {
             "move":        onMove,
             "end":         onStopDrag,
+            "swipe":       onSwipe,
             "preventMove": function( e ) {
                 if ( !e.cancelable ) {
                     return false;
@@ -324,38 +600,51 @@ export function DragSlider( $slider, options ) {
     function onMove( e, $target, coords ) {
         cancelLinkClick();
 
-        deltaMove.deltaX = coords.pageX - startDragCoords.pageX;
-        deltaMove.deltaY = coords.pageY - startDragCoords.pageY;
+        const POINTER_POSITION = getPointerPosition( coords );
+
+        deltaMove.deltaX = POINTER_POSITION - getPointerPosition( startDragCoords );
+        deltaMove.deltaY = getPointerCrossPosition( coords ) - getPointerCrossPosition( startDragCoords );
+
+        if ( POINTER_POSITION !== deltaMove.lastPointerPosition ) {
+            deltaMove.direction           = Math.sign( POINTER_POSITION - deltaMove.lastPointerPosition );
+            deltaMove.lastPointerPosition = POINTER_POSITION;
+        }
 
         deltaMove.newX  = deltaMove.deltaX + deltaMove.x;
 
         if ( deltaMove.newX > 0 ) {
-            deltaMove.newX = 0;
+            deltaMove.newX = rubberBand( deltaMove.newX );
         }
         else if ( deltaMove.newX < listDelta ) {
-            deltaMove.newX = listDelta;
+            deltaMove.newX = listDelta + rubberBand( deltaMove.newX - listDelta );
         }
 
-        gsap.set( $list, {
-            "x": deltaMove.newX,
-            "y": 0,
-            "z": 0
-        } );
+        gsap.set( $list, getTransform( deltaMove.newX ) );
 
         options.onDrag?.( {
             "item":        currentSnapItem,
             "xPos":        deltaMove.newX,
             "moveMaxSize": listDelta,
-            "isAtStart":   deltaMove.newX === 0,
-            "isAtEnd":     deltaMove.newX === listDelta
+            "isAtStart":   deltaMove.newX >= 0,
+            "isAtEnd":     deltaMove.newX <= listDelta
         } );
     }
 
 
+    // Called after onStopDrag, only if the pointer was still moving on release
+    function onSwipe( e, $target, velocityData ) {
+        const ANGLE = velocityData.angle * Math.PI / 180;
+
+        // Part of the velocity along the axis of the slider, in the direction of the last move
+        releaseVelocity = deltaMove.direction * velocityData.velocity * Math.abs( IS_VERTICAL ? Math.sin( ANGLE ) : Math.cos( ANGLE ) );
+    }
+
+
     function onStopDrag() {
         gestureOff( document.body, 'dragSlider', {
             "move":  onMove,
-            "end":   onStopDrag
+            "end":   onStopDrag,
+            "swipe": onSwipe
         } );
 
         isDragging = false;
@@ -364,7 +653,22 @@ export function DragSlider( $slider, options ) {
 
         activeLinkClick();
 
-        snapToItem();
+        // Wait for the velocity of the release
+        wait().then( release );
+    }
+
+
+    function release() {
+        if ( isDragging ) {
+            return;
+        }
+
+        if ( options.inertia && Math.abs( releaseVelocity ) >= MIN_INERTIA_VELOCITY ) {
+            inertiaSnapToItem( releaseVelocity );
+        }
+        else {
+            snapToItem();
+        }
 
         options.onStopDrag?.({
             "item":        currentSnapItem,
@@ -376,6 +680,54 @@ export function DragSlider( $slider, options ) {
     }
 
 
+    function onWheel( e ) {
+        let delta, xPos;
+
+        const IS_AXIS_SCROLL = IS_VERTICAL ?
+            Math.abs( e.deltaY ) > Math.abs( e.deltaX ) :
+            Math.abs( e.deltaX ) > Math.abs( e.deltaY );
+
+        // Only the scroll along the slider, the other one still scrolls the page
+        if ( !isDraggingActive || isDragging || !IS_AXIS_SCROLL ) {
+            return;
+        }
+
+        if ( !hasAlreadyBeenDragged ) {
+            onResize();
+            hasAlreadyBeenDragged = true;
+        }
+
+        delta = IS_VERTICAL ? e.deltaY : e.deltaX * directionSign;
+        delta = e.deltaMode === 1 ? delta * WHEEL_LINE_HEIGHT : delta;
+        xPos  = clampX( deltaMove.x - delta );
+
+        // Vertical slider at one of its edges: let the page scroll
+        if ( IS_VERTICAL && xPos === deltaMove.x ) {
+            return;
+        }
+
+        e.preventDefault();
+
+        gsap.killTweensOf( $list );
+
+        deltaMove.x      = xPos;
+        deltaMove.deltaX = 0;
+
+        gsap.set( $list, getTransform( deltaMove.x ) );
+
+        options.onDrag?.( {
+            "item":        currentSnapItem,
+            "xPos":        deltaMove.x,
+            "moveMaxSize": listDelta,
+            "isAtStart":   deltaMove.x === 0,
+            "isAtEnd":     deltaMove.x === listDelta
+        } );
+
+        clearTimeout( wheelTimeoutId );
+        wheelTimeoutId = setTimeout( snapToItem, WHEEL_SNAP_DELAY );
+    }
+
+
     function onMouseenter() {
         if ( isDragging || !isDraggingActive ) {
             return;
@@ -411,6 +763,123 @@ export function DragSlider( $slider, options ) {
     }
 
 
+    // The browser scrolls the viewport to show a focused element: cancel it and snap to its item
+    function onFocusin( e ) {
+        const ITEM = itemArray.find( item => item.$item.contains( e.target ) );
+
+        $viewport.scrollLeft = 0;
+        $viewport.scrollTop  = 0;
+
+        if ( !isDraggingActive || !ITEM ) {
+            return;
+        }
+
+        if ( ITEM.start + deltaMove.x < 0 || ITEM.start + ITEM.size + deltaMove.x > viewportSize ) {
+            SELF.goToItem( ITEM.$item );
+        }
+    }
+
+
+    function isKeyboardTargetEditable( e ) {
+        return [ 'INPUT', 'TEXTAREA', 'SELECT' ].includes( e.target.nodeName ) || e.target.isContentEditable;
+    }
+
+
+    // direction: only handled in this direction of slider, if set
+    function onKeyboardNavigation( callback, direction ) {
+        return e => {
+            if ( direction && direction !== options.direction ) {
+                return;
+            }
+
+            if ( !isDraggingActive || isDragging || isKeyboardTargetEditable( e ) ) {
+                return;
+            }
+
+            e.preventDefault();
+            callback();
+        };
+    }
+
+
+    function initAccessibility() {
+        if ( !$slider.hasAttribute( 'role' ) ) {
+            $slider.setAttribute( 'role', 'region' );
+        }
+
+        $slider.setAttribute( 'aria-roledescription', options.l10n.carousel );
+
+        if ( options.enableKeyboard && !$viewport.hasAttribute( 'tabindex' ) ) {
+            $viewport.setAttribute( 'tabindex', 0 );
+        }
+
+        itemArray.forEach( item => {
+            item.$item.setAttribute( 'role', 'group' );
+            item.$item.setAttribute( 'aria-roledescription', options.l10n.slide );
+            item.$item.setAttribute( 'aria-label', formatPosition( options.l10n.itemLabel, item ) );
+        } );
+
+        $liveRegion = document.createElement( 'div' );
+        $liveRegion.setAttribute( 'aria-live', 'polite' );
+        $liveRegion.setAttribute( 'aria-atomic', 'true' );
+        $liveRegion.style.cssText = VISUALLY_HIDDEN_STYLE;
+        $slider.appendChild( $liveRegion );
+
+        on( $viewport, {
+            "eventsName": "focusin",
+            "callback":   onFocusin
+        } );
+
+        if ( !options.enableKeyboard ) {
+            return;
+        }
+
+        keyboardControls = new KeyboardHandler( $viewport, {
+            "preventDefault": false,
+            "onLeft":         onKeyboardNavigation( () => directionSign < 0 ? SELF.next() : SELF.previous(), 'h' ),
+            "onRight":        onKeyboardNavigation( () => directionSign < 0 ? SELF.previous() : SELF.next(), 'h' ),
+            "onUp":           onKeyboardNavigation( SELF.previous, 'v' ),
+            "onDown":         onKeyboardNavigation( SELF.next, 'v' ),
+            "onHome":         onKeyboardNavigation( () => snapToItemAnimation( itemArray[ 0 ] ) ),
+            "onEnd":          onKeyboardNavigation( () => snapToItemAnimation( itemArray[ itemArray.length - 1 ], true ) )
+        } );
+    }
+
+
+    function removeAccessibility() {
+        if ( $slider.getAttribute( 'role' ) === 'region' ) {
+            $slider.removeAttribute( 'role' );
+        }
+
+        $slider.removeAttribute( 'aria-roledescription' );
+
+        if ( options.enableKeyboard && $viewport.getAttribute( 'tabindex' ) === '0' ) {
+            $viewport.removeAttribute( 'tabindex' );
+        }
+
+        itemArray.forEach( item => {
+            [ 'role', 'aria-roledescription', 'aria-label', 'aria-hidden' ].forEach( attribute => {
+                item.$item.removeAttribute( attribute );
+            } );
+
+            item.$links.forEach( $link => {
+                $link.removeAttribute( 'tabindex' );
+            } );
+        } );
+
+        clearTimeout( announceTimeoutId );
+        $liveRegion?.remove();
+
+        off( $viewport, {
+            "eventsName": "focusin",
+            "callback":   onFocusin
+        } );
+
+        keyboardControls?.off();
+        keyboardControls = null;
+    }
+
+
     this.next = () => {
         if ( !isDraggingActive || currentSnapItem.isLast ) {
             return;
@@ -441,6 +910,11 @@ export function DragSlider( $slider, options ) {
             return;
         }
 
+        const FINAL_X = Math.max( Math.min( 0, -1 * ITEM.start + siteOffset ), listDelta );
+
+        onSnapItem( ITEM, FINAL_X );
+        currentSnapItem = ITEM;
+
         options.onSnap?.( {
             "item":        ITEM,
             "xPos":        deltaMove.x,
@@ -451,11 +925,9 @@ export function DragSlider( $slider, options ) {
 
         gsap.to( $list, {
             "duration": 0.3,
-            "x":        -1 * ITEM.info.left + siteOffset,
-            "y":        0,
-            "z":        0,
+            ...getTransform( FINAL_X ),
             "onUpdate": function() {
-                deltaMove.x = gsap.getProperty( this.targets()[ 0 ], 'x' );
+                deltaMove.x = getTranslate( this.targets()[ 0 ] );
 
                 options.onSnapUpdate?.( {
                     "item":        ITEM,
@@ -491,6 +963,8 @@ export function DragSlider( $slider, options ) {
 
         onResize();
 
+        initAccessibility();
+
         on( window, {
             "eventsName": "resize",
             "callback":    debouncedOnResize
@@ -511,6 +985,16 @@ export function DragSlider( $slider, options ) {
             "callback":   onMouseenter
         } );
 
+        if ( options.wheel ) {
+            on( $viewport, {
+                "eventsName":   "wheel",
+                "callback":     onWheel,
+                "eventOptions": {
+                    "passive": false
+                }
+            } );
+        }
+
         on( $viewport, {
             "eventsName": "mouseleave",
             "callback":   onMouseleave
@@ -548,7 +1032,8 @@ export function DragSlider( $slider, options ) {
 
         gestureOff( document.body, 'dragSlider', {
             "move":  onMove,
-            "end":   onStopDrag
+            "end":   onStopDrag,
+            "swipe": onSwipe
         } );
 
         off( $items, {
@@ -566,6 +1051,14 @@ export function DragSlider( $slider, options ) {
             "callback":   onMouseleave
         } );
 
+        off( $viewport, {
+            "eventsName": "wheel",
+            "callback":   onWheel
+        } );
+
+        clearTimeout( wheelTimeoutId );
+
+        removeAccessibility();
 
         gsap.killTweensOf( $list );
 
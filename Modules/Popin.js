@@ -1,35 +1,245 @@
-import { on, off } from '@creative-web-solution/front-library/Events/EventsManager';
+import { on, off, one } from '@creative-web-solution/front-library/Events/EventsManager';
 import { KeyboardHandler } from '@creative-web-solution/front-library/Events/KeyboardHandler';
 import { extend } from '@creative-web-solution/front-library/Helpers/Extend';
 import { defer } from '@creative-web-solution/front-library/Helpers/defer';
+import { UrlParser } from '@creative-web-solution/front-library/Helpers/UrlParser';
 import { strToDOM } from '@creative-web-solution/front-library/DOM/strToDOM';
 import { append } from '@creative-web-solution/front-library/DOM/Manipulation';
 import { windowSize } from '@creative-web-solution/front-library/DOM/windowSize';
 import { template } from '@creative-web-solution/front-library/Modules/template';
+import { Validator } from '@creative-web-solution/front-library/Modules/Validator';
 
 let $body = document.body;
 
 const CLICK_EVENT_NAME =
     window.Modernizr && window.Modernizr.touchdevice ? 'touchend' : 'click';
 
-const FOCUSABLE_ELEMENTS = 'a, button, input, select, textarea';
+const FOCUSABLE_ELEMENTS = 'a[href], area[href], button, input, select, textarea, iframe, object, embed, audio[controls], video[controls], summary, [contenteditable], [tabindex]';
+
+// Keep the original tabindex of the elements while the popin is closed
+const TABINDEX_BACKUP_ATTRIBUTE = 'data-popin-tabindex';
+
+const HAS_INERT = 'inert' in HTMLElement.prototype;
+
+// Focus traps of the opened popins. Only the last one is active.
+const FOCUS_TRAPS = [];
+
+// Background layers stay clickable when the page is inert
+const BACKGROUND_LAYERS = new WeakSet();
+
+// Validators created for the forms by the Validator bridge
+const FORM_VALIDATORS = new WeakMap();
+
+// A response with these status can't have a body
+const NULL_BODY_STATUS = [ 101, 204, 205, 304 ];
+
+
+function parseResponseHeaders( rawHeaders ) {
+    let headers = new Headers();
+
+    rawHeaders.trim().split( /[\r\n]+/ ).forEach( line => {
+        let index = line.indexOf( ':' );
+
+        if ( index > 0 ) {
+            headers.append( line.slice( 0, index ).trim(), line.slice( index + 1 ).trim() );
+        }
+    } );
+
+    return headers;
+}
+
+
+// Same error as an aborted fetch
+function createAbortError() {
+    return new DOMException( 'The request was aborted', 'AbortError' );
+}
+
+
+// A request aborted by a newer one or by the closing of the popin
+function isAbortError( error ) {
+    return !!error && error.name === 'AbortError';
+}
+
+
+// Used by the links and forms handled by the popin: the errors are already displayed, in the popin or on the fields of the form,
+// and an aborted request is not an error. Only the callers of the public methods get the rejections.
+function ignoreHandledError() {}
+
+
+// Same as fetch, with XMLHttpRequest to get the upload progress
+function xhrRequest( url, requestOptions, onUploadProgress ) {
+    return new Promise( ( resolve, reject ) => {
+        let xhr = new XMLHttpRequest();
+
+        xhr.open( requestOptions.method || 'GET', url );
+        xhr.responseType = 'arraybuffer';
+
+        new Headers( requestOptions.headers ).forEach( ( value, name ) => {
+            xhr.setRequestHeader( name, value );
+        } );
+
+        if ( onUploadProgress ) {
+            xhr.upload.addEventListener( 'progress', onUploadProgress );
+        }
+
+        xhr.addEventListener( 'load', () => {
+            resolve( new Response(
+                NULL_BODY_STATUS.includes( xhr.status ) ? null : xhr.response,
+                {
+                    "status": xhr.status,
+                    "statusText": xhr.statusText,
+                    "headers": parseResponseHeaders( xhr.getAllResponseHeaders() )
+                }
+            ) );
+        } );
+
+        xhr.addEventListener( 'error', () => {
+            reject( new TypeError( 'Network request failed' ) );
+        } );
+
+        xhr.addEventListener( 'abort', () => {
+            reject( createAbortError() );
+        } );
+
+        if ( requestOptions.signal ) {
+            if ( requestOptions.signal.aborted ) {
+                xhr.abort();
+                return;
+            }
+
+            requestOptions.signal.addEventListener( 'abort', () => xhr.abort() );
+        }
+
+        xhr.send( requestOptions.body );
+    } );
+}
+
+
+// Display the errors sent by the server with the native validation UI
+function setNativeFieldsErrors( $form, errors ) {
+    Object.keys( errors ).forEach( name => {
+        let $field = $form.querySelector( `[name="${ name }"]` );
+
+        if ( !$field || !$field.setCustomValidity ) {
+            return;
+        }
+
+        $field.setCustomValidity( [].concat( errors[ name ] ).join( ' ' ) );
+        $field.setAttribute( 'aria-invalid', true );
+
+        one( $field, {
+            "eventsName": "input",
+            "callback": () => {
+                $field.setCustomValidity( '' );
+                $field.removeAttribute( 'aria-invalid' );
+            }
+        } );
+    } );
+
+    $form.reportValidity();
+}
 
 function toggleTabIndex( $elements, $popin, activate ) {
-    let tabIndex;
     $elements = $elements || $popin.querySelectorAll( FOCUSABLE_ELEMENTS );
-    tabIndex = activate ? '0' : '-1';
-    $elements.forEach( e => e.setAttribute( 'tabindex', tabIndex ) );
-    $popin.setAttribute( 'tabindex', tabIndex );
+
+    $elements.forEach( $element => {
+        if ( activate && $element.hasAttribute( TABINDEX_BACKUP_ATTRIBUTE ) ) {
+            let tabIndex = $element.getAttribute( TABINDEX_BACKUP_ATTRIBUTE );
+
+            if ( tabIndex === '' ) {
+                $element.removeAttribute( 'tabindex' );
+            }
+            else {
+                $element.setAttribute( 'tabindex', tabIndex );
+            }
+
+            $element.removeAttribute( TABINDEX_BACKUP_ATTRIBUTE );
+        }
+        else if ( !activate && !$element.hasAttribute( TABINDEX_BACKUP_ATTRIBUTE ) ) {
+            $element.setAttribute( TABINDEX_BACKUP_ATTRIBUTE, $element.getAttribute( 'tabindex' ) || '' );
+            $element.setAttribute( 'tabindex', '-1' );
+        }
+    } );
+
+    $popin.setAttribute( 'tabindex', activate ? '0' : '-1' );
     $popin.setAttribute( 'aria-hidden', !activate );
 }
 
 
+function isVisible( $element ) {
+    return !!( $element.offsetWidth || $element.offsetHeight || $element.getClientRects().length );
+}
+
+
+function isTabbable( $element ) {
+    let tabIndex = parseInt( $element.getAttribute( 'tabindex' ), 10 );
+
+    if (
+        $element.disabled ||
+        tabIndex < 0 ||
+        $element.type === 'hidden' ||
+        $element.getAttribute( 'contenteditable' ) === 'false' ||
+        $element.closest( '[inert]' ) ||
+        !isVisible( $element )
+    ) {
+        return false;
+    }
+
+    // Only the first summary of a details element can have the focus
+    if ( $element.nodeName === 'SUMMARY' ) {
+        return $element.parentNode.nodeName === 'DETAILS' && $element.parentNode.querySelector( 'summary' ) === $element;
+    }
+
+    // Only the checked radio of a group, or the first one if none is checked
+    if ( $element.type === 'radio' && $element.name && !$element.checked ) {
+        let $group = ( $element.form || document ).querySelectorAll( `input[type="radio"][name="${ $element.name }"]` );
+
+        return !Array.prototype.some.call( $group, $radio => $radio.checked ) && $group[ 0 ] === $element;
+    }
+
+    return true;
+}
+
+
+// Tabbable elements in the tab order: positive tabindex first, then the DOM order
+function getTabbableElements( $container ) {
+    let $elements = Array.prototype.filter.call( $container.querySelectorAll( FOCUSABLE_ELEMENTS ), isTabbable );
+
+    return $elements
+        .map( ( $element, index ) => {
+            return {
+                $element,
+                index,
+                "tabIndex": parseInt( $element.getAttribute( 'tabindex' ), 10 ) || 0
+            };
+        } )
+        .sort( ( a, b ) => {
+            if ( a.tabIndex === b.tabIndex ) {
+                return a.index - b.index;
+            }
+
+            if ( !a.tabIndex || !b.tabIndex ) {
+                return a.tabIndex ? -1 : 1;
+            }
+
+            return a.tabIndex - b.tabIndex;
+        } )
+        .map( item => item.$element );
+}
+
+
 const defaultOptions = {
     "modal": false,
     "errorMessage": 'Error while loading...',
+    "retryLabel": 'Retry',
+    "timeout": 0,
     "marginHeight": 20,
     "autoResize": false,
     "enableKeyboard": true,
+    "stack": false,
+    "stackZIndex": 1000,
+    "initialFocus": null,
+    "ariaLabel": null,
     "onLoad": () => {
         return Promise.resolve();
     },
@@ -42,18 +252,39 @@ const defaultOptions = {
     "checkValidity": () => {
         return true;
     },
+    "validatorOptions": null,
+    "setFormSubmitMode": $form => {
+        return $form.enctype === 'multipart/form-data' && $form.querySelector( 'input[type="file"]' ) ? 'xhr' : 'fetch';
+    },
     "normalize": body => {
         return {
             "success": true,
             "data": body
         };
     },
+    "onRedirect": url => {
+        window.location.href = url;
+    },
     "autoHandleAjaxError": true,
+    "history": {
+        "controller": null,
+        "title": null,
+        "getUrl": popinUrl => {
+            let url = new UrlParser( window.location.href );
+
+            url.setAnchor( popinUrl ? `popin=${ popinUrl }` : '' );
+
+            return url;
+        },
+        "getPopinUrl": url => {
+            return url.anchor && url.anchor.indexOf( 'popin=' ) === 0 ? url.anchor.slice( 6 ) : null;
+        }
+    },
     "templates": {
         "popinLoader": "<div class=\"popin-loader\"></div>",
         "popin": "<div class=\"popin\"><div class=\"popin-content\"></div></div>",
         "bgLayer": "<div class=\"bg-popin\"></div>",
-        "errorMessage": "<div class=\"error\"><%= message %></div>"
+        "errorMessage": "<div class=\"error\"><%= message %><% if ( retry ) { %> <button type=\"button\" data-retry-popin><%= retryLabel %></button><% } %></div>"
     },
     "selectors": {
         "popin": ".popin",
@@ -61,6 +292,8 @@ const defaultOptions = {
         "links": "a[data-popin]",
         "forms": "form[data-popin]",
         "btClosePopin": "button[data-close-popin]",
+        "btRetry": "button[data-retry-popin]",
+        "popinTitle": "[data-popin-title], h1, h2",
         "openOnLoadAttribute": "data-onload-popin"
     },
     "animations": {
@@ -105,6 +338,7 @@ function Background( popin, options ) {
 
     $bgLayer = strToDOM( options.templates.bgLayer );
     $body.appendChild( $bgLayer );
+    BACKGROUND_LAYERS.add( $bgLayer );
 
     this.isOpened = false;
 
@@ -143,6 +377,10 @@ function Background( popin, options ) {
         popin.close();
     }
 
+    this.setZIndex = zIndex => {
+        $bgLayer.style.zIndex = zIndex;
+    };
+
     this.destroy = () => {
         $bgLayer.removeEventListener( CLICK_EVENT_NAME, onBgClick );
     };
@@ -163,26 +401,45 @@ function Background( popin, options ) {
  * @param {Number} [userOptions.marginHeight=20]
  * @param {Boolean} [userOptions.autoResize=false]
  * @param {String} [userOptions.errorMessage=Error while loading...]
+ * @param {String} [userOptions.retryLabel=Retry] - Label of the retry button of the error message
+ * @param {Number} [userOptions.timeout=0] - In ms. Abort the request after this time. 0 for no timeout
  * @param {Boolean} [userOptions.enableKeyboard=true]
+ * @param {Boolean} [userOptions.stack=false] - PopinController only. Links inside an opened popin open a new popin over it instead of replacing its content
+ * @param {Number} [userOptions.stackZIndex=1000] - z-index of the background layer. Each popin of the stack is placed above the previous one
+ * @param {String|Function} [userOptions.initialFocus] - Selector or function ( $popin ) => HTMLElement of the element focused at the opening. By default, the first [autofocus] element, or the first focusable element
+ * @param {String} [userOptions.ariaLabel] - Label of the popin, used if there is no title in it (see selectors.popinTitle)
  * @param {Callback} [userOptions.onOpen=$popin => {}]
  * @param {Callback} [userOptions.onClose=$popin => {}]
  * @param {Callback} [userOptions.onLoad=$popin => Promise.resolve()]
+ * @param {Callback} [userOptions.onRequestStart=( { url, requestOptions } ) => {}]
+ * @param {Callback} [userOptions.onRequestEnd=( { url, success, aborted, timeout } ) => {}]
+ * @param {Callback} [userOptions.onRedirect=url => { window.location.href = url; }] - Called when normalize returns a redirect url
  * @param {Function} [userOptions.setLinkResponseType= ( url, $link ) => 'text'] - Must return one of these values: arrayBuffer | blob | json | text | formData
  * @param {Function} [userOptions.setFormResponseType= $form => 'text'] - Must return one of these values: arrayBuffer | blob | json | text | formData
  * @param {Function} [userOptions.checkValidity= $form => true] - Must return true, false or a promise
- * @param {Function} [userOptions.normalize= (body, response, isHttpError) => { return { success: true, data: body } }]
+ * @param {Object} [userOptions.validatorOptions] - If set, a Validator is created with these options for each form, to validate it before the submission and to display the errors sent by the server
+ * @param {Function} [userOptions.setFormSubmitMode= $form => 'xhr' for multipart forms with files, 'fetch' otherwise] - Must return fetch | xhr. Only xhr gives the upload progress
+ * @param {Callback} [userOptions.onUploadProgress=( { loaded, total, progress, $form } ) => {}] - Only with the xhr submit mode
+ * @param {Function} [userOptions.normalize= (body, response, isHttpError) => { return { success: true, data: body } }] - Can also return { redirect: url }, or { errors: { fieldName: message } } after a form submission
  * @param {Function} [userOptions.autoHandleAjaxError=true] - If false, ajax http error (404, 500, ...) should be handled in the normalize function
+ * @param {Object} [userOptions.history] - PopinController only. Link popins are added in the browser history
+ * @param {HistoryController} [userOptions.history.controller] - Enable the history mode
+ * @param {String} [userOptions.history.title]
+ * @param {Function} [userOptions.history.getUrl=( popinUrl, $link ) => UrlParser] - Url of the page with the popin opened, or without popin if popinUrl is null. By default, add #popin=popinUrl to the current url
+ * @param {Function} [userOptions.history.getPopinUrl=( url ) => String|null] - Return the url of the popin to open from the page url (UrlParser), or null
  * @param {Object} [userOptions.templates]
  * @param {String} [userOptions.templates.popinLoader=<div class=\"popin-loader\"></div>]
  * @param {String} [userOptions.templates.popin=<div class=\"popin\"><div class=\"popin-content\"></div></div>]
  * @param {String} [userOptions.templates.bgLayer=<div class=\"bg-popin\"></div>]
- * @param {String} [userOptions.templates.errorMessage=<div class=\"error\"><%= message %></div>]
+ * @param {String} [userOptions.templates.errorMessage=<div class=\"error\"><%= message %><% if ( retry ) { %> <button type=\"button\" data-retry-popin><%= retryLabel %></button><% } %></div>]
  * @param {Object} [userOptions.selectors]
  * @param {String} [userOptions.selectors.popin=.popin]
  * @param {String} [userOptions.selectors.popinContent=.popin-content]
  * @param {String} [userOptions.selectors.links=a[data-popin]]
  * @param {String} [userOptions.selectors.forms=form[data-popin]]
  * @param {String} [userOptions.selectors.btClosePopin=button[data-close-popin]]
+ * @param {String} [userOptions.selectors.btRetry=button[data-retry-popin]]
+ * @param {String} [userOptions.selectors.popinTitle=[data-popin-title], h1, h2] - Element used to label the popin
  * @param {String} [userOptions.selectors.openOnLoadAttribute=data-onload-popin"]
  * @param {Object} [userOptions.animations] - All functions return a promise
  * @param {Function} [userOptions.animations.openBg=$bg => { $bg.style.display = 'block'; return Promise.resolve(); }]
@@ -194,9 +451,11 @@ function Background( popin, options ) {
  * @param {Function} [userOptions.animations.closeLoader=$loader => { $loader.style.display = 'none'; return Promise.resolve(); }]
  */
 export function Popin( userOptions = {}, $popin ) {
-    let loading,
+    let requestAbortController,
+        lastRequest,
         loaderOpened,
         popinOpened,
+        openingPromise,
         $loader,
         templates,
         selectors,
@@ -227,7 +486,6 @@ export function Popin( userOptions = {}, $popin ) {
 
     const SELF = this;
 
-    loading = false;
     popinOpened = false;
     loaderOpened = false;
     isInlinePopin = !!$popin;
@@ -254,7 +512,7 @@ export function Popin( userOptions = {}, $popin ) {
     $popinContent = $popin.querySelector( selectors.popinContent ) || $popin;
 
     // Keyboard TAB focus control
-    FocusControl = new PopinAccessibility( $popin );
+    FocusControl = new PopinAccessibility( $popin, options );
 
 
     // ------------------------------ LOADER
@@ -295,12 +553,17 @@ export function Popin( userOptions = {}, $popin ) {
     }
 
 
-    function openPopin() {
+    function openPopin( $opener ) {
         if ( popinOpened ) {
             return Promise.resolve();
         }
 
-        $initialFocus = document.activeElement;
+        if ( openingPromise ) {
+            return openingPromise;
+        }
+
+        // Safari doesn't focus links and buttons on click
+        $initialFocus = $opener || document.activeElement;
         resize();
 
         if ( options.autoResize ) {
@@ -310,13 +573,13 @@ export function Popin( userOptions = {}, $popin ) {
             } );
         }
 
-        return showBackgroundLayer()
+        openingPromise = showBackgroundLayer()
             .then( () => {
-                if ( isInlinePopin ) {
-                    addAccessibility();
-                }
                 return animations.initOpenPopin( $popin );
             } )
+            .then( () => {
+                FocusControl.activate();
+            } )
             .then( () => {
                 if ( options.onOpen ) {
                     return options.onOpen.call( SELF, $popin );
@@ -327,11 +590,21 @@ export function Popin( userOptions = {}, $popin ) {
             } )
             .then( () => {
                 popinOpened = true;
+                openingPromise = null;
             } );
+
+        return openingPromise;
     }
 
 
     function closePopin() {
+        abortRequest();
+
+        // Closed during the opening animation: close it at the end of the animation
+        if ( openingPromise ) {
+            return openingPromise.then( closePopin );
+        }
+
         if ( !popinOpened ) {
             return Promise.resolve();
         }
@@ -352,10 +625,15 @@ export function Popin( userOptions = {}, $popin ) {
             .then( () => {
                 popinOpened = false;
 
+                FocusControl.deactivate();
+
                 if ( !isInlinePopin ) {
                     clearPopin();
                 }
-                $initialFocus.focus();
+
+                if ( $initialFocus && document.body.contains( $initialFocus ) ) {
+                    $initialFocus.focus();
+                }
             });
     }
 
@@ -378,12 +656,15 @@ export function Popin( userOptions = {}, $popin ) {
     function clearPopin() {
         $popinContent.innerHTML = '';
         resizeRAF();
-        FocusControl.toggleTabIndexNavigation( false );
     }
 
 
     function setPopinError( message ) {
-        $popinContent.innerHTML = errorTpl({ "message": message });
+        $popinContent.innerHTML = errorTpl({
+            "message": message,
+            "retry": !!lastRequest,
+            "retryLabel": options.retryLabel
+        });
         resizeRAF();
     }
 
@@ -391,29 +672,93 @@ export function Popin( userOptions = {}, $popin ) {
     // ------------------------------ POPIN LOADING
 
 
-    function load( url, type, userRequestOptions ) {
-        let myHeaders, deferred, requestOptions;
+    function abortRequest() {
+        if ( requestAbortController ) {
+            requestAbortController.abort();
+            requestAbortController = null;
+        }
+    }
+
+
+    function load( url, type, userRequestOptions, $opener, $form ) {
+        let myHeaders, deferred, requestOptions, requestController, timeoutId, isTimeout, isSuccess, isDone;
 
         deferred = defer();
 
-        loading = true;
+        // A newer request replaces the current one
+        abortRequest();
+
+        requestController = new AbortController();
+        requestAbortController = requestController;
+
+        lastRequest = {
+            url,
+            type,
+            userRequestOptions,
+            $opener,
+            $form
+        };
 
         myHeaders = new Headers();
         myHeaders.append( 'X-Requested-With', 'XMLHttpRequest' );
         requestOptions = {
-            "headers": myHeaders
+            "headers": myHeaders,
+            "signal": requestController.signal
         };
         if ( userRequestOptions ) {
             requestOptions = extend( {}, requestOptions, userRequestOptions );
         }
 
-        openPopin()
+        function isAborted() {
+            return requestController.signal.aborted && !isTimeout;
+        }
+
+        function endRequest() {
+            clearTimeout( timeoutId );
+
+            if ( options.onRequestEnd ) {
+                options.onRequestEnd.call( SELF, {
+                    url,
+                    "success": !!isSuccess,
+                    "aborted": !isDone,
+                    "timeout": !!isTimeout
+                } );
+            }
+
+            // The loader is used by the newer request
+            if ( requestAbortController !== requestController && requestAbortController ) {
+                return;
+            }
+
+            requestAbortController = null;
+            closeLoader();
+        }
+
+        openPopin( $opener )
             .then( () => openLoader() )
             .then( () => {
-                fetch(
-                    url,
-                    requestOptions
-                )
+                // Aborted during the opening of the popin
+                if ( isAborted() ) {
+                    deferred.reject( createAbortError() );
+                    endRequest();
+                    return;
+                }
+
+                if ( options.onRequestStart ) {
+                    options.onRequestStart.call( SELF, {
+                        url,
+                        requestOptions
+                    } );
+                }
+
+                if ( options.timeout ) {
+                    timeoutId = setTimeout( () => {
+                        isTimeout = true;
+                        requestController.abort();
+                    }, options.timeout );
+                }
+
+                return sendRequest( url, requestOptions, $form )
                     .then( response => {
                         if ( !options.autoHandleAjaxError || response.status >= 200 && response.status < 300 ) {
                             return response;
@@ -451,10 +796,29 @@ export function Popin( userOptions = {}, $popin ) {
                         data => {
                             let [ body, response ] = data;
                             let isHttpError = response.status < 200 || response.status >= 300;
-                            let normResponse = options.normalize( body, response, isHttpError );
+                            let normResponse;
+
+                            // A newer request or the closing of the popin aborted this one
+                            if ( isAborted() ) {
+                                deferred.reject( createAbortError() );
+                                return;
+                            }
+
+                            isDone = true;
+                            normResponse = options.normalize( body, response, isHttpError );
 
-                            if ( normResponse.success ) {
-                                setPopin( normResponse.data ).then( () => {
+                            if ( normResponse.redirect ) {
+                                isSuccess = true;
+                                options.onRedirect.call( SELF, normResponse.redirect );
+                                deferred.resolve();
+                            }
+                            else if ( normResponse.errors && $form ) {
+                                setFormErrors( $form, normResponse.errors );
+                                deferred.reject( normResponse );
+                            }
+                            else if ( normResponse.success ) {
+                                isSuccess = true;
+                                return setPopin( normResponse.data ).then( () => {
                                     addAccessibility();
                                     deferred.resolve();
                                 } );
@@ -466,15 +830,18 @@ export function Popin( userOptions = {}, $popin ) {
                             }
                         },
                         err => {
+                            if ( isAborted() ) {
+                                deferred.reject( createAbortError() );
+                                return;
+                            }
+
+                            isDone = true;
                             setPopinError( options.errorMessage );
                             addAccessibility();
                             deferred.reject( err );
                         }
                     )
-                    .finally( () => {
-                        loading = false;
-                        closeLoader();
-                    } );
+                    .finally( endRequest );
             })
             .catch( err => deferred.reject( err ) );
 
@@ -482,10 +849,69 @@ export function Popin( userOptions = {}, $popin ) {
     }
 
 
+    function sendRequest( url, requestOptions, $form ) {
+        if ( !$form || options.setFormSubmitMode( $form ) !== 'xhr' ) {
+            return fetch( url, requestOptions );
+        }
+
+        return xhrRequest( url, requestOptions, options.onUploadProgress && ( e => {
+            options.onUploadProgress.call( SELF, {
+                "loaded": e.loaded,
+                "total": e.total,
+                "progress": e.lengthComputable ? e.loaded / e.total : 0,
+                $form
+            } );
+        } ) );
+    }
+
+
+    function getFormValidator( $form ) {
+        if ( !FORM_VALIDATORS.has( $form ) ) {
+            FORM_VALIDATORS.set( $form, new Validator( $form, options.validatorOptions ) );
+        }
+
+        return FORM_VALIDATORS.get( $form );
+    }
+
+
+    function setFormErrors( $form, errors ) {
+        // The popin was only opened to display the loader
+        if ( !$popin.contains( $form ) ) {
+            closePopin();
+        }
+
+        if ( options.validatorOptions ) {
+            getFormValidator( $form ).setServerErrors( errors );
+            return;
+        }
+
+        setNativeFieldsErrors( $form, errors );
+    }
+
+
+    function retry( e ) {
+        e.preventDefault();
+
+        if ( !lastRequest ) {
+            return;
+        }
+
+        load(
+            lastRequest.url,
+            lastRequest.type,
+            lastRequest.userRequestOptions,
+            lastRequest.$opener,
+            lastRequest.$form
+        ).catch( ignoreHandledError );
+    }
+
+
     function loadLink( $link ) {
         return load(
             $link.href,
             options.setLinkResponseType( $link.href, $link ),
+            null,
+            $link
         );
     }
 
@@ -502,6 +928,9 @@ export function Popin( userOptions = {}, $popin ) {
 
         validationProm = ( !validationResult || validationResult === true ) ? Promise.resolve() : validationResult;
 
+        if ( options.validatorOptions ) {
+            validationProm = validationProm.then( () => getFormValidator( $form ).validate() );
+        }
 
         return validationProm
                     .then( () => {
@@ -512,7 +941,9 @@ export function Popin( userOptions = {}, $popin ) {
 
                                 "body": new FormData( $form ),
                                 "method": $form.method || 'POST'
-                            } );
+                            },
+                            $form.querySelector( '[type="submit"]' ) || $form,
+                            $form );
                     } );
     }
 
@@ -521,14 +952,15 @@ export function Popin( userOptions = {}, $popin ) {
         let $target;
         e.preventDefault();
 
-        if ( loading ) {
-            return;
-        }
-
         $target = e.target;
 
         if ( $target.nodeName === 'FORM' ) {
-            loadForm( $target );
+            loadForm( $target ).catch( ignoreHandledError );
+            return;
+        }
+
+        // The controller opens the link in a new popin over this one
+        if ( options.controller && options.stack ) {
             return;
         }
 
@@ -538,7 +970,7 @@ export function Popin( userOptions = {}, $popin ) {
             return;
         }
 
-        loadLink( $target );
+        loadLink( $target ).catch( ignoreHandledError );
     }
 
 
@@ -580,6 +1012,30 @@ export function Popin( userOptions = {}, $popin ) {
     }
 
 
+    /**
+     * The DOM element of the popin
+     *
+     * @memberof Popin
+     * @instance
+     * @member {HTMLElement} $popin
+     */
+    Object.defineProperty( this, '$popin', {
+        "get": () => $popin
+    } );
+
+
+    /**
+     * Is the popin opened
+     *
+     * @memberof Popin
+     * @instance
+     * @member {Boolean} isOpened
+     */
+    Object.defineProperty( this, 'isOpened', {
+        "get": () => popinOpened
+    } );
+
+
     /**
      * Load a page from a link and display the result it in the popin
      *
@@ -588,13 +1044,9 @@ export function Popin( userOptions = {}, $popin ) {
      * @instance
      * @param {HTMLElement} $link
      *
-     * @return {Promise}
+     * @return {Promise} - Rejected with an AbortError if a newer request or the closing of the popin aborts it
      */
     this.loadLink = $link => {
-        if ( loading ) {
-            return;
-        }
-
         return loadLink( $link );
     };
 
@@ -607,13 +1059,9 @@ export function Popin( userOptions = {}, $popin ) {
      * @instance
      * @param {HTMLElement} $form
      *
-     * @return {Promise}
+     * @return {Promise} - Rejected with an AbortError if a newer request or the closing of the popin aborts it
      */
     this.loadForm = $form => {
-        if ( loading ) {
-            return;
-        }
-
         return loadForm( $form );
     };
 
@@ -628,13 +1076,9 @@ export function Popin( userOptions = {}, $popin ) {
      * @param {Object} data - All parameters available for window.fetch
      * @param {String} [type=text]
      *
-     * @return {Promise}
+     * @return {Promise} - Rejected with an AbortError if a newer request or the closing of the popin aborts it
      */
     this.load = ( url, data, type = 'text' ) => {
-        if ( loading ) {
-            return;
-        }
-
         return load(
             url,
             type,
@@ -656,9 +1100,9 @@ export function Popin( userOptions = {}, $popin ) {
      */
     this.set = ( html, openFirst ) => {
         if ( openFirst ) {
-            return openPopin().then( () => setPopin( html ) );
+            return openPopin().then( () => setPopin( html ) ).then( addAccessibility );
         }
-        return setPopin(html).then( () => openPopin() );
+        return setPopin(html).then( () => openPopin() ).then( addAccessibility );
     };
 
 
@@ -764,6 +1208,16 @@ export function Popin( userOptions = {}, $popin ) {
             }
         );
 
+        off(
+            $popin,
+            {
+                "eventsName": CLICK_EVENT_NAME,
+                "callback": retry
+            }
+        );
+
+        abortRequest();
+
         if ( keyboardControls ) {
             keyboardControls.off();
         }
@@ -775,7 +1229,6 @@ export function Popin( userOptions = {}, $popin ) {
 
     function addAccessibility() {
         FocusControl.refresh();
-        FocusControl.toggleTabIndexNavigation( true );
         FocusControl.focusFirstElement();
     }
 
@@ -804,6 +1257,15 @@ export function Popin( userOptions = {}, $popin ) {
         }
     );
 
+    on(
+        $popin,
+        {
+            "eventsName": CLICK_EVENT_NAME,
+            "selector": selectors.btRetry,
+            "callback": retry
+        }
+    );
+
 
     if ( options.enableKeyboard ) {
         keyboardControls = new KeyboardHandler( $popin, {
@@ -821,57 +1283,211 @@ export function Popin( userOptions = {}, $popin ) {
     }
 }
 
-/* global toggleTabIndex, FOCUSABLE_ELEMENTS */
+/* global toggleTabIndex, getTabbableElements, FOCUS_TRAPS, BACKGROUND_LAYERS, HAS_INERT */
 // eslint-disable-next-line no-unused-vars
-function PopinAccessibility( $popin ) {
-    let $elements, $firstElement, $lastElement;
+function PopinAccessibility( $popin, options ) {
+    let $inertElements, isActive;
 
-    this.focusFirstElement = () => {
-        if ( !$firstElement ) {
+    const SELF = this;
+
+    $inertElements = [];
+
+
+    function isActiveTrap() {
+        return isActive && FOCUS_TRAPS[ FOCUS_TRAPS.length - 1 ] === SELF;
+    }
+
+
+    function getInitialFocusElement() {
+        let $element;
+
+        if ( typeof options.initialFocus === 'function' ) {
+            $element = options.initialFocus( $popin );
+        }
+        else if ( options.initialFocus ) {
+            $element = $popin.querySelector( options.initialFocus );
+        }
+
+        return $element || $popin.querySelector( '[autofocus]' ) || getTabbableElements( $popin )[ 0 ];
+    }
+
+
+    // Make all the page inert, except the popin
+    function setInert() {
+        let $element = $popin;
+
+        if ( !HAS_INERT ) {
             return;
         }
-        $firstElement.focus();
+
+        while ( $element.parentNode && $element !== document.body ) {
+            // The popin may have been made inert by a popin under it in the stack
+            $element.inert = false;
+
+            Array.prototype.forEach.call( $element.parentNode.children, $sibling => {
+                if (
+                    $sibling === $element ||
+                    $sibling.inert ||
+                    BACKGROUND_LAYERS.has( $sibling ) ||
+                    [ 'SCRIPT', 'STYLE', 'LINK' ].includes( $sibling.nodeName )
+                ) {
+                    return;
+                }
+
+                $sibling.inert = true;
+                $inertElements.push( $sibling );
+            } );
+
+            $element = $element.parentNode;
+        }
+    }
+
+
+    function removeInert() {
+        $inertElements.forEach( $element => {
+            $element.inert = false;
+        } );
+
+        $inertElements.length = 0;
+    }
+
+
+    // Focus moved out of the popin by the mouse or a screen reader
+    function onFocusIn( e ) {
+        if ( !isActiveTrap() || $popin.contains( e.target ) ) {
+            return;
+        }
+
+        SELF.focusFirstElement();
+    }
+
+
+    function setLabel() {
+        let $title = options.selectors.popinTitle && $popin.querySelector( options.selectors.popinTitle );
+
+        $popin.removeAttribute( 'aria-labelledby' );
+        $popin.removeAttribute( 'aria-label' );
+
+        if ( $title ) {
+            if ( !$title.id ) {
+                $title.id = `popin-title-${ ( new Date() ).getTime() }-${ Math.round( Math.random() * 1000 ) }`;
+            }
+
+            $popin.setAttribute( 'aria-labelledby', $title.id );
+        }
+        else if ( options.ariaLabel ) {
+            $popin.setAttribute( 'aria-label', options.ariaLabel );
+        }
+    }
+
+
+    this.focusFirstElement = () => {
+        ( getInitialFocusElement() || $popin ).focus();
     }
 
 
     this.handleBackwardTab = e => {
-        if ( $elements.length < 1 || !$firstElement ) {
+        let $elements;
+
+        if ( !isActiveTrap() ) {
+            return;
+        }
+
+        $elements = getTabbableElements( $popin );
+
+        if ( !$elements.length ) {
             e.preventDefault();
+            $popin.focus();
             return;
         }
-        if ( document.activeElement === $firstElement ) {
+
+        if ( document.activeElement === $elements[ 0 ] || !$elements.includes( document.activeElement ) ) {
             e.preventDefault();
-            $lastElement.focus();
+            $elements[ $elements.length - 1 ].focus();
         }
     }
 
 
     this.handleForwardTab = e => {
-        if ( $elements.length < 1 || !$lastElement ) {
+        let $elements;
+
+        if ( !isActiveTrap() ) {
+            return;
+        }
+
+        $elements = getTabbableElements( $popin );
+
+        if ( !$elements.length ) {
             e.preventDefault();
+            $popin.focus();
             return;
         }
-        if ( document.activeElement === $lastElement ) {
+
+        if ( document.activeElement === $elements[ $elements.length - 1 ] || !$elements.includes( document.activeElement ) ) {
             e.preventDefault();
-            $firstElement.focus();
+            $elements[ 0 ].focus();
         }
     }
 
 
     this.toggleTabIndexNavigation = activate => {
-        toggleTabIndex( $elements, $popin, activate );
+        toggleTabIndex( null, $popin, activate );
+    }
 
-        if ( activate ) {
-            $popin.focus();
+
+    // Start trapping the focus in the popin
+    this.activate = () => {
+        if ( isActive ) {
+            return;
         }
+
+        isActive = true;
+        FOCUS_TRAPS.push( SELF );
+
+        this.refresh();
+        setInert();
+
+        on( document, {
+            "eventsName": "focusin",
+            "callback": onFocusIn
+        } );
+
+        // Inline popins and popins opened on their current content. When a content is loaded, the popin is empty and gets the focus until the content is displayed
+        SELF.focusFirstElement();
+    }
+
+
+    this.deactivate = () => {
+        if ( !isActive ) {
+            return;
+        }
+
+        isActive = false;
+        FOCUS_TRAPS.splice( FOCUS_TRAPS.indexOf( SELF ), 1 );
+
+        off( document, {
+            "eventsName": "focusin",
+            "callback": onFocusIn
+        } );
+
+        removeInert();
+        this.toggleTabIndexNavigation( false );
     }
 
+
+    // To call when the content of the popin changed
     this.refresh = () => {
-        $elements = $popin.querySelectorAll( FOCUSABLE_ELEMENTS );
-        $firstElement = $elements[ 0 ];
-        $lastElement = $elements[ $elements.length - 1 ];
+        if ( isActive ) {
+            this.toggleTabIndexNavigation( true );
+        }
+
+        setLabel();
     }
-    this.refresh();
+
+
+    $popin.setAttribute( 'role', 'dialog' );
+    $popin.setAttribute( 'aria-modal', true );
+
     this.toggleTabIndexNavigation( false );
 }
 
@@ -890,6 +1506,10 @@ export function PopinController( userOptions = {}, $popin ) {
     let options,
         selectors,
         background,
+        stackedPopins,
+        popinsPool,
+        historyController,
+        skipNextHistoryChange,
         popin;
 
     if ( !( "AbortController" in window ) ) {
@@ -911,6 +1531,69 @@ export function PopinController( userOptions = {}, $popin ) {
         background
     }, $popin );
 
+    // Popins opened over the main one, from the lowest to the highest
+    stackedPopins = [];
+    popinsPool = [];
+
+    if ( options.stack ) {
+        setStackZIndex();
+    }
+
+
+    // Only the main popin opens and closes the shared background
+    function getStackPopin( level ) {
+        if ( !popinsPool[ level ] ) {
+            popinsPool[ level ] = new Popin( {
+                ...options,
+                "controller": SELF,
+                "background": null
+            } );
+        }
+
+        return popinsPool[ level ];
+    }
+
+
+    function getTopPopin() {
+        return stackedPopins.length ? stackedPopins[ stackedPopins.length - 1 ] : popin;
+    }
+
+
+    // The background is always just under the highest popin
+    function setStackZIndex() {
+        popin.$popin.style.zIndex = options.stackZIndex + 1;
+
+        stackedPopins.forEach( ( stackedPopin, level ) => {
+            stackedPopin.$popin.style.zIndex = options.stackZIndex + ( level + 1 ) * 2 + 1;
+        } );
+
+        background.setZIndex( options.stackZIndex + stackedPopins.length * 2 );
+    }
+
+
+    function pushPopin( $link ) {
+        let stackedPopin = getStackPopin( stackedPopins.length );
+
+        stackedPopins.push( stackedPopin );
+        setStackZIndex();
+
+        return stackedPopin.loadLink( $link );
+    }
+
+
+    function popPopin() {
+        let stackedPopin = stackedPopins.pop();
+
+        return stackedPopin.close().then( setStackZIndex );
+    }
+
+
+    function isInOpenedPopin( $element ) {
+        return [ popin, ...stackedPopins ].some( openedPopin => {
+            return openedPopin.isOpened && openedPopin.$popin.contains( $element );
+        } );
+    }
+
 
     function parseElement( $dom, customUrl ) {
         let anchor;
@@ -936,7 +1619,120 @@ export function PopinController( userOptions = {}, $popin ) {
     function openPopinHandler( e ) {
         e.preventDefault();
 
-        parseElement( e.target );
+        if ( options.stack && !$popin && e.target.nodeName !== 'FORM' && isInOpenedPopin( e.target ) ) {
+            pushPopin( e.target ).catch( ignoreHandledError );
+            return;
+        }
+
+        // Links and forms in the popins are loaded by the popins themselves
+        if ( ![ popin, ...popinsPool ].some( ownPopin => ownPopin.$popin.contains( e.target ) ) ) {
+            parseElement( e.target ).catch( ignoreHandledError );
+        }
+
+        if ( historyController && e.target.nodeName !== 'FORM' ) {
+            pushHistoryState( e.target.getAttribute( 'href' ), e.target );
+        }
+    }
+
+
+    // ------------------- HISTORY
+
+
+    function getHistoryState() {
+        return historyController.state.state || {};
+    }
+
+
+    function pushHistoryState( popinUrl, $link ) {
+        let currentState = getHistoryState();
+
+        if ( currentState.popinUrl === popinUrl ) {
+            return;
+        }
+
+        historyController.pushState(
+            {
+                "popinUrl": popinUrl,
+                "popinDepth": ( currentState.popinDepth || 0 ) + 1
+            },
+            options.history.title,
+            options.history.getUrl( popinUrl, $link )
+        );
+    }
+
+
+    // Back to the url without popin
+    function closeHistoryState() {
+        let currentState = getHistoryState();
+
+        if ( !currentState.popinUrl ) {
+            return;
+        }
+
+        if ( currentState.popinDepth ) {
+            skipNextHistoryChange = true;
+            window.history.go( -currentState.popinDepth );
+            return;
+        }
+
+        // The page was loaded with the popin opened
+        historyController.pushState(
+            {
+                "popinUrl": null,
+                "popinDepth": 0
+            },
+            null,
+            options.history.getUrl( null )
+        );
+    }
+
+
+    function closeStackedPopins() {
+        return Promise.all( stackedPopins.slice().map( () => popPopin() ) );
+    }
+
+
+    function closeAll() {
+        return closeStackedPopins().then( () => popin.close() );
+    }
+
+
+    // Stacked popins are not in the history, so they are closed when going back to a previous popin
+    function loadFromHistory( popinUrl ) {
+        return closeStackedPopins().then( () => popin.load( popinUrl, null, options.setLinkResponseType( popinUrl ) ) );
+    }
+
+
+    // The popin of the url can't be displayed: back to the page without popin
+    function onHistoryLoadError( error ) {
+        if ( isAbortError( error ) ) {
+            return;
+        }
+
+        closeHistoryState();
+        closeAll();
+    }
+
+
+    function onHistoryChange( url, state ) {
+        let popinUrl = state.popinUrl;
+
+        if ( skipNextHistoryChange ) {
+            skipNextHistoryChange = false;
+            return;
+        }
+
+        // State not created by the popin
+        if ( typeof popinUrl === 'undefined' ) {
+            popinUrl = options.history.getPopinUrl( url );
+        }
+
+        if ( !popinUrl ) {
+            closeAll();
+            return;
+        }
+
+        loadFromHistory( popinUrl ).catch( onHistoryLoadError );
     }
 
 
@@ -1018,7 +1814,7 @@ export function PopinController( userOptions = {}, $popin ) {
 
 
     /**
-     * Close the popin
+     * Close the popin. With the stack option, only close the highest popin.
      *
      * @function close
      * @memberof PopinController
@@ -1027,10 +1823,42 @@ export function PopinController( userOptions = {}, $popin ) {
      * @return {Promise}
      */
     this.close = () => {
+        if ( stackedPopins.length ) {
+            return popPopin();
+        }
+
+        if ( historyController ) {
+            closeHistoryState();
+        }
+
         return popin.close();
     };
 
 
+    /**
+     * Number of opened popins, including the main one
+     *
+     * @memberof PopinController
+     * @instance
+     * @member {Number} stackLength
+     */
+    Object.defineProperty( this, 'stackLength', {
+        "get": () => ( popin.isOpened ? 1 : 0 ) + stackedPopins.length
+    } );
+
+
+    /**
+     * The highest opened popin
+     *
+     * @memberof PopinController
+     * @instance
+     * @member {Popin} topPopin
+     */
+    Object.defineProperty( this, 'topPopin', {
+        "get": getTopPopin
+    } );
+
+
     /**
      * Open the popin
      *
@@ -1055,6 +1883,11 @@ export function PopinController( userOptions = {}, $popin ) {
     this.destroy = () => {
         background.destroy();
         popin.destroy();
+        popinsPool.forEach( stackedPopin => stackedPopin.destroy() );
+
+        if ( historyController ) {
+            historyController.remove( onHistoryChange );
+        }
 
         off(
             $body,
@@ -1095,12 +1928,36 @@ export function PopinController( userOptions = {}, $popin ) {
 
         } );
 
+    historyController = options.history && options.history.controller;
+
+    let historyPopinUrl;
+
+    if ( historyController ) {
+        historyPopinUrl = options.history.getPopinUrl( historyController.state.url );
+
+        // The popstate event is ignored by HistoryController without state
+        historyController.replaceState(
+            {
+                ...window.history.state,
+                "popinUrl": historyPopinUrl,
+                "popinDepth": ( window.history.state && window.history.state.popinDepth ) || 0
+            },
+            options.history.title,
+            historyController.state.url
+        );
+
+        historyController.register( onHistoryChange );
+    }
+
     let $triggerOnLoadPopin = document.querySelector( `[${ selectors.openOnLoadAttribute }]` );
 
-    if ( $triggerOnLoadPopin ) {
+    if ( historyPopinUrl ) {
+        loadFromHistory( historyPopinUrl ).catch( onHistoryLoadError );
+    }
+    else if ( $triggerOnLoadPopin ) {
         parseElement(
             $triggerOnLoadPopin,
             $triggerOnLoadPopin.getAttribute( selectors.openOnLoadAttribute )
-        );
+        ).catch( ignoreHandledError );
     }
 }
@@ -1,11 +1,14 @@
 import { on, off } from '@creative-web-solution/front-library/Events/EventsManager';
+import { IntersectObserver } from '@creative-web-solution/front-library/Events/IntersectObserver';
 import { gesture, gestureOff } from '@creative-web-solution/front-library/Events/Gesture';
 import { extend } from '@creative-web-solution/front-library/Helpers/Extend';
 import { wait } from '@creative-web-solution/front-library/Helpers/wait';
 import { aClass, rClass } from '@creative-web-solution/front-library/DOM/Class';
+import { insertBefore, insertAfter, remove } from '@creative-web-solution/front-library/DOM/Manipulation';
 import { prop } from '@creative-web-solution/front-library/DOM/Styles';
 import { position } from '@creative-web-solution/front-library/DOM/position';
 import { width, height } from '@creative-web-solution/front-library/DOM/Size';
+import { getTweenEngine } from '@creative-web-solution/front-library/Helpers/Tween';
 
 /**
  * @callback ScrollSnap_Handler
@@ -16,6 +19,8 @@ import { width, height } from '@creative-web-solution/front-library/DOM/Size';
  * @param {number} data.item.index
  * @param {HTMLElement} data.item.$item
  * @param {number} data.item.coords
+ * @param {boolean} data.item.isFirst
+ * @param {boolean} data.item.isLast
  * @param {string} data.type - If the event comes after a scroll: scroll. If it comes after a function call (like next, previous, ...): api.
  * @param {number} data.scrollerSize
  * @param {number} data.offsetSize
@@ -103,8 +108,17 @@ let defaultOptions = {
     "lockedClass":        "locked",
     "minItemsToActivate": 2,
     "direction":          "h",
+    "align":              "start",
+    "loop":               false,
+    "nativeSnap":         false,
+    "cloneClass":         "clone",
+    "disabledClass":      "disabled",
+    "activeClass":        "active",
+    "renderBullet": ( { position } ) => {
+        return `<button type="button">${ position }</button>`;
+    },
     "_setScroll": ( $scroller, x, y ) => {
-        gsap.set( $scroller, { scrollTo: { x, y } });
+        getTweenEngine().set( $scroller, { scrollTo: { x, y } });
     }
 };
 
@@ -113,6 +127,12 @@ let hasIosBadScroll;
 const TYPE_API    = 'api';
 const TYPE_SCROLL = 'scroll';
 
+const CLONE_ATTRIBUTE = 'data-scrollsnap-clone';
+
+function supportsNativeSnap() {
+    return !!window.CSS && typeof window.CSS.supports === 'function' && window.CSS.supports( 'scroll-snap-type', 'x mandatory' );
+}
+
 
 /**
  * Allow to snap to items when using a native scroll
@@ -122,6 +142,10 @@ const TYPE_SCROLL = 'scroll';
  * @param {Object} options
  * @param {String} [options.lockedClass=locked]
  * @param {String} [options.direction=h] - Values: 'h' | 'v'
+ * @param {String} [options.align=start] - Position of the snapped item in the scroller. Values: 'start' | 'center' | 'end'
+ * @param {Boolean} [options.loop=false] - Infinite loop. The items at the edges are cloned and the scroll silently goes back to the real item after snapping on a clone
+ * @param {String} [options.cloneClass=clone]
+ * @param {Boolean} [options.nativeSnap=false] - Use the CSS scroll-snap properties if the browser supports them. The end of the snap is detected with the scrollend event or, if not supported, when the scroll events stop, on the item found by an IntersectionObserver (the loop mode then uses the JS snap)
  * @param {String|HTMLElement[]} [options.snapTo]
  * @param {number} [options.minItemsToActivate=2]
  * @param {HTMLElement} [options.$offsetElement]
@@ -132,7 +156,13 @@ const TYPE_SCROLL = 'scroll';
  * @param {ScrollSnap_Handler} [options.onSnapEnd]
  * @param {ScrollSnap_Handler} [options.onReachStart]
  * @param {ScrollSnap_Handler} [options.onReachEnd]
- * @param {Function} [options._setScroll] - Internal function using GSAP and scrollTo plugin to set the scroll. Can be override to use another library
+ * @param {HTMLElement} [options.$btPrev] - Disabled when the start is reached (except in loop mode)
+ * @param {HTMLElement} [options.$btNext] - Disabled when the end is reached (except in loop mode)
+ * @param {String} [options.disabledClass=disabled] - Added with the disabled attribute on $btPrev and $btNext
+ * @param {HTMLElement} [options.$pagination] - Container where one bullet by item is generated
+ * @param {Function} [options.renderBullet] - ( { index, position } ) => `<button type="button">${ position }</button>`
+ * @param {String} [options.activeClass=active] - Added with aria-current on the bullet of the current item
+ * @param {Function} [options._setScroll] - Internal function using GSAP and scrollTo plugin, or the native tween engine if GSAP is not loaded, to set the scroll. Can be override to use another library
  *
  * @example let sn = new ScrollSnap($scroller, options);
  *
@@ -145,6 +175,12 @@ const TYPE_SCROLL = 'scroll';
  * sn.scrollToItem( $item [, duration] )
  * sn.scrollToIndex( index [, duration] )
  *
+ * // Current item
+ * sn.currentItem // { index, $item, coord, isFirst, isLast }
+ *
+ * // True if the CSS scroll-snap is used
+ * sn.isNativeMode
+ *
  * // To remove
  * sn.clean()
  */
@@ -164,8 +200,17 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
         touchended,
         currentSnapItem,
         areEventsBinded,
-        lastTouchPosition;
-
+        lastTouchPosition,
+        items,
+        $clones,
+        cloneSources,
+        $bullets,
+        pendingSnapItem,
+        snapLineObserver,
+        snapLineItem,
+        snapLineTimeoutId;
+
+    const SELF                = this;
     const TIMEOUT_DELAY       = 100;
     const STATE_IDLE          = 'idle';
     const STATE_MOVING        = 'moving';
@@ -174,6 +219,9 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
 
     options = extend( defaultOptions, userOptions );
 
+    const HAS_SCROLLEND             = 'onscrollend' in window;
+    // Without scrollend, the end of the scroll can't be detected, so the loop mode can't silently go back to the real item
+    const IS_NATIVE_MODE            = options.nativeSnap && supportsNativeSnap() && ( !options.loop || HAS_SCROLLEND );
     const IS_VERTICAL_MODE          = options.direction === 'v'
     const SCROLL_PROPERTY_NAME      = IS_VERTICAL_MODE ? 'scrollTop' : 'scrollLeft'
     const SCROLL_SIZE_PROPERTY_NAME = IS_VERTICAL_MODE
@@ -187,17 +235,50 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
 
     minItemsToActivate = options.minItemsToActivate;
 
-    // Store the coordinate and the DOM object of each item
+    // Store the coordinate and the DOM object of each item, including the clones in loop mode
     snapPoints = [];
+    // Store the snap point of each real item
+    items = [];
+    $clones = [];
+    // Real item of each clone
+    cloneSources = new Map();
+    $bullets = [];
     // Store the coordinate of the middle and the DOM object of each item
     halfSize = [];
 
     scrollToHandler = new ScrollTo( $scroller, options.direction, resetState );
 
 
+    Object.defineProperty( this, 'currentItem', {
+        "get": () => currentSnapItem
+    } );
+
+    Object.defineProperty( this, 'isNativeMode', {
+        "get": () => IS_NATIVE_MODE
+    } );
+
+
+    function setScrollPosition( coord ) {
+        if ( IS_VERTICAL_MODE ) {
+            options._setScroll( $scroller, 0, coord );
+        }
+        else {
+            options._setScroll( $scroller, coord, 0 );
+        }
+    }
+
+
     function getScrollPositionInformation() {
         let scrollPos = $scroller[ SCROLL_PROPERTY_NAME ];
 
+        // There are no limits in loop mode
+        if ( options.loop ) {
+            return {
+                "scrollAtStart": false,
+                "scrollAtEnd": false
+            };
+        }
+
         return {
             "scrollAtStart": scrollPos === 0,
             "scrollAtEnd": scrollPos + scrollerSize >= $scroller[ SCROLL_SIZE_PROPERTY_NAME ] - SCROLL_END_TRESHOLD
@@ -205,7 +286,50 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
     }
 
 
+    function updateControls() {
+        let scrollInfo, isLocked;
+
+        isLocked = state === STATE_LOCKED;
+        scrollInfo = getScrollPositionInformation();
+
+        [
+            [ options.$btPrev, isLocked || scrollInfo.scrollAtStart ],
+            [ options.$btNext, isLocked || scrollInfo.scrollAtEnd ]
+        ].forEach( ( [ $button, isDisabled ] ) => {
+            if ( !$button ) {
+                return;
+            }
+
+            $button.disabled = isDisabled;
+            $button.classList.toggle( options.disabledClass, isDisabled );
+        } );
+
+        $bullets.forEach( ( $bullet, index ) => {
+            const IS_ACTIVE = !!currentSnapItem && currentSnapItem.index === index;
+
+            $bullet.classList.toggle( options.activeClass, IS_ACTIVE );
+
+            if ( IS_ACTIVE ) {
+                $bullet.setAttribute( 'aria-current', 'true' );
+            }
+            else {
+                $bullet.removeAttribute( 'aria-current' );
+            }
+        } );
+    }
+
+
     function resetState( snapItem, type ) {
+        if ( snapItem && snapItem.original ) {
+            // Loop mode: silently go back to the real item. The events are unbound so this scroll is not snapped
+            removeEvents();
+            setScrollPosition( snapItem.original.coord );
+
+            wait().then( () => resetState( snapItem.original, type ) );
+
+            return;
+        }
+
         state = STATE_IDLE;
         touchended = true;
 
@@ -213,6 +337,8 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
 
         bindEvents();
 
+        updateControls();
+
         if ( options.onSnapEnd ) {
             options.onSnapEnd( {
                 $scroller,
@@ -273,6 +399,9 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
 
     /* Return true if the start or the end is reached */
     function processLimit( snapItem, type, fromResetState ) {
+        if ( options.loop ) {
+            return false;
+        }
 
         if ( $scroller[ SCROLL_PROPERTY_NAME ] + scrollerSize >= $scroller[ SCROLL_SIZE_PROPERTY_NAME ] - SCROLL_END_TRESHOLD ) {
             if ( !fromResetState ) {
@@ -366,6 +495,12 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
         }
 
         areEventsBinded = false;
+
+        if ( IS_NATIVE_MODE ) {
+            removeNativeEvents();
+            return;
+        }
+
         off( $scroller, {
             "eventsName": "scroll",
             "callback": onScroll
@@ -381,6 +516,11 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
 
         areEventsBinded = true;
 
+        if ( IS_NATIVE_MODE ) {
+            bindNativeEvents();
+            return;
+        }
+
         on( $scroller, {
             "eventsName": "scroll",
             "callback":   onScroll
@@ -394,14 +534,205 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
     }
 
 
+    // ------------------- NATIVE MODE
+
+
+    function onNativeScroll() {
+        // Without scrollend, the scroll is considered ended when no scroll event is fired for a while
+        if ( snapLineObserver ) {
+            clearTimeout( snapLineTimeoutId );
+            snapLineTimeoutId = setTimeout( onSnapLineScrollEnd, TIMEOUT_DELAY );
+        }
+
+        if ( state !== STATE_IDLE ) {
+            return;
+        }
+
+        state = STATE_MOVING;
+
+        if ( options.onSnapStart ) {
+            options.onSnapStart( {
+                $scroller,
+                "snapItem": currentSnapItem,
+                "type":     TYPE_SCROLL,
+                scrollerSize,
+                offsetSize,
+                ...getScrollPositionInformation()
+            } );
+        }
+    }
+
+
+    function onNativeScrollEnd() {
+        let snapItem = snapPoints[ getCurrentSection( $scroller[ SCROLL_PROPERTY_NAME ] ) ];
+        let type = pendingSnapItem ? TYPE_API : TYPE_SCROLL;
+
+        pendingSnapItem = null;
+
+        if ( snapItem ) {
+            resetState( snapItem, type );
+        }
+    }
+
+
+    // Without scrollend: called when an item crosses the snap position. It is the item snapped at the end of the scroll
+    function onSnapLine( $target, entry ) {
+        let snapItem;
+
+        if ( entry.intersectionRatio <= 0 ) {
+            return;
+        }
+
+        snapItem = snapPoints.find( snapPoint => snapPoint.$item === $target );
+
+        if ( snapItem ) {
+            snapLineItem = snapItem;
+        }
+    }
+
+
+    // Without scrollend: called when the scroll events stop
+    function onSnapLineScrollEnd() {
+        let type = pendingSnapItem ? TYPE_API : TYPE_SCROLL;
+
+        if ( !snapLineItem || state === STATE_IDLE ) {
+            return;
+        }
+
+        pendingSnapItem = null;
+
+        resetState( snapLineItem, type );
+    }
+
+
+    // Root margin of the snap line observer: a 1px line at the snap position
+    function getSnapLineMargin() {
+        let linePosition;
+
+        if ( options.align === 'center' ) {
+            linePosition = Math.floor( scrollerSize / 2 );
+        }
+        else if ( options.align === 'end' ) {
+            linePosition = scrollerSize - 1;
+        }
+        else {
+            linePosition = offsetSize;
+        }
+
+        const START_MARGIN = `${ -linePosition }px`;
+        const END_MARGIN   = `${ -( scrollerSize - linePosition - 1 ) }px`;
+
+        return IS_VERTICAL_MODE ?
+            `${ START_MARGIN } 0px ${ END_MARGIN } 0px` :
+            `0px ${ END_MARGIN } 0px ${ START_MARGIN }`;
+    }
+
+
+    function bindNativeEvents() {
+        on( $scroller, {
+            "eventsName": "scroll",
+            "callback":   onNativeScroll
+        } );
+
+        if ( HAS_SCROLLEND ) {
+            on( $scroller, {
+                "eventsName": "scrollend",
+                "callback":   onNativeScrollEnd
+            } );
+
+            return;
+        }
+
+        snapLineObserver = new IntersectObserver( {
+            "onIntersecting": onSnapLine,
+            "ioOptions": {
+                "root":       $scroller,
+                "rootMargin": getSnapLineMargin(),
+                "threshold":  0
+            }
+        } );
+
+        snapLineObserver.add( snapPoints.map( snapPoint => snapPoint.$item ) );
+    }
+
+
+    function removeNativeEvents() {
+        off( $scroller, {
+            "eventsName": "scroll",
+            "callback":   onNativeScroll
+        } );
+
+        off( $scroller, {
+            "eventsName": "scrollend",
+            "callback":   onNativeScrollEnd
+        } );
+
+        if ( snapLineObserver ) {
+            clearTimeout( snapLineTimeoutId );
+            snapLineObserver.remove( snapPoints.map( snapPoint => snapPoint.$item ) );
+            snapLineObserver = null;
+            snapLineItem     = null;
+        }
+    }
+
+
+    function setNativeStyles() {
+        $scroller.style.scrollSnapType = `${ IS_VERTICAL_MODE ? 'y' : 'x' } mandatory`;
+        $scroller.style[ IS_VERTICAL_MODE ? 'scrollPaddingTop' : 'scrollPaddingLeft' ] = `${ offsetSize }px`;
+
+        snapPoints.forEach( snapPoint => {
+            snapPoint.$item.style.scrollSnapAlign = options.align;
+        } );
+    }
+
+
+    function removeNativeStyles() {
+        $scroller.style.scrollSnapType    = '';
+        $scroller.style.scrollPaddingTop  = '';
+        $scroller.style.scrollPaddingLeft = '';
+
+        snapPoints.forEach( snapPoint => {
+            snapPoint.$item.style.scrollSnapAlign = '';
+        } );
+    }
+
+
+    // Scroll asked by the API: animated by the browser in native mode
+    function animateTo( snapItem, duration ) {
+        if ( !IS_NATIVE_MODE ) {
+            scrollToHandler.scrollTo( snapItem, TYPE_API, duration );
+            return;
+        }
+
+        bindEvents();
+
+        // Already in place: no scroll event will be fired
+        if ( Math.abs( $scroller[ SCROLL_PROPERTY_NAME ] - snapItem.coord ) < 1 ) {
+            wait().then( () => resetState( snapItem, TYPE_API ) );
+            return;
+        }
+
+        pendingSnapItem = snapItem;
+
+        $scroller.scrollTo( {
+            [ IS_VERTICAL_MODE ? 'top' : 'left' ]: snapItem.coord,
+            "behavior": duration === 0 ? 'auto' : 'smooth'
+        } );
+    }
+
+
     function updateOptions( newOptions ) {
 
-        let { offset, $offsetElement, direction } = newOptions;
+        let { offset, $offsetElement, direction, align } = newOptions;
 
         if ( direction ) {
             options.direction = direction;
         }
 
+        if ( align ) {
+            options.align = align;
+        }
+
         if ( offset ) {
             options.offset = offset;
         }
@@ -412,6 +743,124 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
     }
 
 
+    function removeClones() {
+        $clones.forEach( $clone => remove( $clone ) );
+        $clones.length = 0;
+        cloneSources.clear();
+    }
+
+
+    function createClone( $item ) {
+        let $clone = $item.cloneNode( true );
+
+        $clone.setAttribute( CLONE_ATTRIBUTE, '' );
+        $clone.setAttribute( 'aria-hidden', 'true' );
+        $clone.setAttribute( 'inert', '' );
+        $clone.classList.add( options.cloneClass );
+
+        // Avoid duplicate ids
+        $clone.removeAttribute( 'id' );
+        $clone.querySelectorAll( '[id]' ).forEach( $child => $child.removeAttribute( 'id' ) );
+
+        $clones.push( $clone );
+        cloneSources.set( $clone, $item );
+
+        return $clone;
+    }
+
+
+    /* Return the number of items to clone at each edge to fill the scroller */
+    function getCloneCount( $items ) {
+        let count = 0, filledSize = 0;
+
+        while ( count < $items.length && filledSize <= scrollerSize ) {
+            filledSize += IS_VERTICAL_MODE ? height( $items[ count ] ) : width( $items[ count ] );
+            count++;
+        }
+
+        return Math.min( count + 1, $items.length );
+    }
+
+
+    /* Return the list of all items: the clones before, the real items and the clones after */
+    function createClones( $items ) {
+        let cloneCount, $before, $after;
+
+        cloneCount = getCloneCount( $items );
+
+        $before = $items.slice( -cloneCount ).map( createClone );
+        $after = $items.slice( 0, cloneCount ).map( createClone );
+
+        $before.forEach( $clone => insertBefore( $clone, $items[ 0 ] ) );
+        $after.reverse().forEach( $clone => insertAfter( $clone, $items[ $items.length - 1 ] ) );
+        $after.reverse();
+
+        return [ ...$before, ...$items, ...$after ];
+    }
+
+
+    function getAlignOffset( itemSize ) {
+        if ( options.align === 'center' ) {
+            return ( scrollerSize - itemSize ) / 2;
+        }
+
+        if ( options.align === 'end' ) {
+            return scrollerSize - itemSize;
+        }
+
+        return 0;
+    }
+
+
+    function getSnapCoord( $item, propPos ) {
+        let coord = position( $item )[ propPos ] - offsetSize;
+
+        if ( options.align === 'start' ) {
+            return coord;
+        }
+
+        return Math.max( 0, Math.round( coord - getAlignOffset( IS_VERTICAL_MODE ? height( $item ) : width( $item ) ) ) );
+    }
+
+
+    function renderPagination() {
+        if ( !options.$pagination || !options.renderBullet ) {
+            return;
+        }
+
+        options.$pagination.innerHTML = items.map( snapItem => {
+            return options.renderBullet( {
+                "index": snapItem.index,
+                "position": snapItem.index + 1
+            } );
+        } ).join( '' );
+
+        $bullets = Array.from( options.$pagination.children );
+    }
+
+
+    // Remove the generated bullets
+    function removePagination() {
+        $bullets = [];
+
+        if ( options.$pagination && options.renderBullet ) {
+            options.$pagination.innerHTML = '';
+        }
+    }
+
+
+    function resetButtons() {
+        [ options.$btPrev, options.$btNext ].forEach( $button => {
+            if ( !$button ) {
+                return;
+            }
+
+            $button.disabled = false;
+            $button.classList.remove( options.disabledClass );
+        } );
+    }
+
+
     /**
      * Refresh the scroller and snap to the asked item
      *
@@ -426,9 +875,10 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
      * @param {Number} [options.offset.top]
      * @param {Number} [options.offset.left]
      * @param {String} [options.direction] - Values: 'h' | 'v'
+     * @param {String} [options.align] - Values: 'start' | 'center' | 'end'
      */
     this.refresh = ( _options = {} ) => {
-        let propPos;
+        let propPos, $allItems;
 
         let { snapTo, $itemToSnapOn } = _options;
 
@@ -441,12 +891,21 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
             options.snapTo = snapTo;
         }
 
+        if ( IS_NATIVE_MODE ) {
+            removeEvents();
+            removeNativeStyles();
+            pendingSnapItem = null;
+        }
+
         propPos           = IS_VERTICAL_MODE ? 'top' : 'left';
         offsetSize        = 0;
         snapPoints.length = 0;
         halfSize.length   = 0;
+        items.length      = 0;
         currentSnapItem   = null;
 
+        removeClones();
+
         options._setScroll( $scroller, 0, 0 );
 
         if ( snapTo ) {
@@ -463,6 +922,10 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
             removeEvents();
             aClass($scroller, options.lockedClass);
 
+            removePagination();
+
+            updateControls();
+
             return;
         }
 
@@ -484,27 +947,43 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
 
         scrollerSize = IS_VERTICAL_MODE ? height( $scroller ) : width( $scroller );
 
+        $snapItems = Array.from( $snapItems ).filter( $item => !$item.hasAttribute( CLONE_ATTRIBUTE ) );
+
+        $allItems = options.loop ? createClones( $snapItems ) : $snapItems;
+
         $snapItems.forEach( ( $item, index ) => {
-            let _position = position( $item );
-            let snapItem = {
-                "coord":   _position[ propPos ] - offsetSize,
+            items.push( {
+                "coord":   getSnapCoord( $item, propPos ),
                 "index":   index,
                 "isFirst": index === 0,
                 "isLast":  index === $snapItems.length - 1,
                 "$item":   $item
-            };
+            } );
+        } );
 
-            if ( $itemToSnapOn === $item ) {
-                currentSnapItem = snapItem;
-                if ( IS_VERTICAL_MODE ) {
-                    options._setScroll( $scroller, 0, snapItem.coord );
-                }
-                else {
-                    options._setScroll( $scroller, snapItem.coord, 0 );
-                }
+        $allItems.forEach( ( $item, index ) => {
+            let snapItem, original;
+
+            if ( cloneSources.has( $item ) ) {
+                original = items[ $snapItems.indexOf( cloneSources.get( $item ) ) ];
+
+                snapItem = {
+                    "coord":    getSnapCoord( $item, propPos ),
+                    "index":    original.index,
+                    "isFirst":  original.isFirst,
+                    "isLast":   original.isLast,
+                    "isClone":  true,
+                    original,
+                    "$item":    $item
+                };
             }
-            else if ( !currentSnapItem ) {
+            else {
+                snapItem = items[ $snapItems.indexOf( $item ) ];
+            }
+
+            if ( $itemToSnapOn === $item && !snapItem.isClone ) {
                 currentSnapItem = snapItem;
+                setScrollPosition( snapItem.coord );
             }
 
             snapPoints.push( snapItem );
@@ -513,16 +992,32 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
                 halfSize.push( {
                     "coord": Math.ceil(
                         snapPoints[ index - 1 ].coord +
-                            (_position[ propPos ] -
-                                offsetSize -
-                                snapPoints[ index - 1 ].coord) /
-                                2
+                            ( snapItem.coord - snapPoints[ index - 1 ].coord ) / 2
                     ),
                     "index": index,
                     "$item": $item
                 });
             }
         });
+
+        if ( !currentSnapItem ) {
+            currentSnapItem = items[ 0 ];
+
+            if ( options.loop ) {
+                setScrollPosition( currentSnapItem.coord );
+            }
+        }
+
+        if ( IS_NATIVE_MODE ) {
+            setNativeStyles();
+
+            // The snap line depends on the sizes and items computed above
+            removeEvents();
+            bindEvents();
+        }
+
+        renderPagination();
+        updateControls();
     }
 
 
@@ -589,7 +1084,7 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
      */
     this.scrollToIndex = ( index, duration ) => {
 
-        if ( index < 0 || !snapPoints[ index ] ) {
+        if ( index < 0 || !items[ index ] ) {
             return;
         }
 
@@ -611,7 +1106,7 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
             } );
         }
 
-        scrollToHandler.scrollTo( snapPoints[ index ], TYPE_API, duration );
+        animateTo( items[ index ], duration );
     }
 
 
@@ -651,7 +1146,7 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
             } );
         }
 
-        if ( duration === 0 ) {
+        if ( duration === 0 && !IS_NATIVE_MODE ) {
             if ( IS_VERTICAL_MODE ) {
                 options._setScroll( $scroller, 0, snapItem.coord );
             }
@@ -661,7 +1156,7 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
             wait().then( () => resetState( snapItem, TYPE_API ) );
         }
         else {
-            scrollToHandler.scrollTo( snapItem, TYPE_API, duration );
+            animateTo( snapItem, duration );
         }
 
     }
@@ -677,9 +1172,9 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
      * @param {Number} [duration] - In ms
      */
     this.next = duration => {
-        let nextIndex = currentSnapItem.index + 1;
+        let nextSnapItem = currentSnapItem && snapPoints[ snapPoints.indexOf( currentSnapItem ) + 1 ];
 
-        if ( !snapPoints[ nextIndex ] ) {
+        if ( !nextSnapItem ) {
             return;
         }
 
@@ -700,7 +1195,7 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
             } );
         }
 
-        scrollToHandler.scrollTo( snapPoints[ nextIndex ], TYPE_API, duration );
+        animateTo( nextSnapItem, duration );
     }
 
 
@@ -714,9 +1209,9 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
      * @param {Number} [duration] - In ms
      */
     this.previous = duration => {
-        let previousIndex = currentSnapItem.index - 1;
+        let previousSnapItem = currentSnapItem && snapPoints[ snapPoints.indexOf( currentSnapItem ) - 1 ];
 
-        if ( previousIndex < 0 || !snapPoints[ previousIndex ] ) {
+        if ( !previousSnapItem ) {
             return;
         }
 
@@ -737,12 +1232,12 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
             } );
         }
 
-        scrollToHandler.scrollTo( snapPoints[ previousIndex ], TYPE_API, duration );
+        animateTo( previousSnapItem, duration );
     }
 
 
     /**
-     * Remove all events, css class or inline styles
+     * Remove all events, css class or inline styles, the generated bullets and the disabled state of the buttons
      *
      * @memberof ScrollSnap
      * @function clean
@@ -759,6 +1254,76 @@ export function ScrollSnap( $scroller, userOptions = {} ) {
             "callback":   interuptAnimation
         } );
         gestureOff( $scroller, 'scrollSnapTouchSwipe' );
+
+        if ( options.$btPrev ) {
+            gestureOff( options.$btPrev, 'scrollSnapBtPrev' );
+        }
+
+        if ( options.$btNext ) {
+            gestureOff( options.$btNext, 'scrollSnapBtNext' );
+        }
+
+        if ( options.$pagination ) {
+            gestureOff( options.$pagination, 'scrollSnapPagination' );
+        }
+
+        resetButtons();
+        removePagination();
+
+        if ( IS_NATIVE_MODE ) {
+            removeNativeEvents();
+            removeNativeStyles();
+        }
+
+        removeClones();
+    }
+
+
+    function onBtPrev() {
+        if ( state === STATE_LOCKED || options.$btPrev.disabled ) {
+            return;
+        }
+
+        SELF.previous();
+    }
+
+
+    function onBtNext() {
+        if ( state === STATE_LOCKED || options.$btNext.disabled ) {
+            return;
+        }
+
+        SELF.next();
+    }
+
+
+    function onTapPagination( e ) {
+        let index = $bullets.findIndex( $bullet => $bullet.contains( e.target ) );
+
+        if ( state === STATE_LOCKED || index < 0 ) {
+            return;
+        }
+
+        SELF.scrollToIndex( index );
+    }
+
+
+    if ( options.$btPrev ) {
+        gesture( options.$btPrev, 'scrollSnapBtPrev', {
+            "tap": onBtPrev
+        } );
+    }
+
+    if ( options.$btNext ) {
+        gesture( options.$btNext, 'scrollSnapBtNext', {
+            "tap": onBtNext
+        } );
+    }
+
+    if ( options.$pagination ) {
+        gesture( options.$pagination, 'scrollSnapPagination', {
+            "tap": onTapPagination
+        } );
     }
 
     this.refresh( options.snapTo );
@@ -1,7 +1,22 @@
 import { extend } from '@creative-web-solution/front-library/Helpers/Extend';
 import { strToDOM } from '@creative-web-solution/front-library/DOM/strToDOM';
 import { insertAfter, append } from '@creative-web-solution/front-library/DOM/Manipulation';
-import { on } from '@creative-web-solution/front-library/Events/EventsManager';
+import { on, fire } from '@creative-web-solution/front-library/Events/EventsManager';
+import isFileAccepted from '@creative-web-solution/front-library/Modules/Validator/Tools/isFileAccepted';
+
+
+// Needed to update the files of the input after a drop or a removal
+const HAS_DATA_TRANSFER = ( () => {
+    try {
+        new DataTransfer();
+        return true;
+    }
+    catch( e ) {
+        return false;
+    }
+} )();
+
+const SIZE_UNITS = [ 'B', 'KB', 'MB', 'GB' ];
 
 
 const defaultOptions = {
@@ -14,12 +29,49 @@ const defaultOptions = {
     "resetButton": "<span class=\"file-reset\">&times;</span>",
     "disabledClass": "disabled",
     "invalidClass": "invalid",
-    "selectedClass": "selected"
+    "selectedClass": "selected",
+    "dropZone": false,
+    "dragOverClass": "drag-over",
+    "fileListSelector": ".file-list",
+    "fileList": "<ul class=\"file-list\"></ul>",
+    "thumbnails": true,
+    "renderFile": ( { name, index, size, thumbnailUrl, isValid, l10n } ) => {
+        return `<li class="file-itm${ isValid ? '' : ' invalid' }">${ thumbnailUrl ? `<img class="file-thumb" src="${ thumbnailUrl }" alt="">` : '' }<span class="file-name">${ name }</span> <span class="file-size">${ size }</span><button type="button" class="file-remove" data-file-idx="${ index }" aria-label="${ l10n.remove.replace( '{NAME}', name ) }">&times;</button></li>`;
+    },
+    "l10n": {
+        "files": "{COUNT} files",
+        "remove": "Remove {NAME}"
+    }
+}
+
+
+function getFileKey( file ) {
+    return `${ file.name }-${ file.size }-${ file.lastModified }`;
+}
+
+
+// The file names are chosen by the user, they must not be inserted as HTML
+function escapeHtml( str ) {
+    return str.replace( /[&<>"']/g, char => `&#${ char.charCodeAt( 0 ) };` );
+}
+
+
+function formatSize( size ) {
+    let unitIndex = 0;
+
+    while ( size >= 1024 && unitIndex < SIZE_UNITS.length - 1 ) {
+        size /= 1024;
+        unitIndex++;
+    }
+
+    return `${ Math.round( size * 10 ) / 10 } ${ SIZE_UNITS[ unitIndex ] }`;
 }
 
 
 /**
  * Skin an HTML input file element.
+ * With dropZone, the wrapper also accepts dropped files, and the files are listed with a remove button.
+ * The files of the input are kept in sync (with DataTransfer), so the form can be posted normally.
  * @class
  *
  * @param {HTMLElement} $input
@@ -34,13 +86,27 @@ const defaultOptions = {
  * @param {String} [userOptions.disabledClass=disabled]
  * @param {String} [userOptions.invalidClass=invalid]
  * @param {String} [userOptions.selectedClass=selected]
+ * @param {Boolean} [userOptions.dropZone=false] - Accept dropped files and list the files. With the multiple attribute, the new files are added to the list
+ * @param {String} [userOptions.dragOverClass=drag-over] - Added on the wrapper while files are dragged over it
+ * @param {String} [userOptions.fileListSelector=".file-list"]
+ * @param {String} [userOptions.fileList=<ul class="file-list"></ul>]
+ * @param {Boolean} [userOptions.thumbnails=true] - Create an object URL for the images, given as thumbnailUrl to renderFile
+ * @param {Function} [userOptions.renderFile=({name, index, size, thumbnailUrl, isValid, l10n}) => `<li class="file-itm${isValid ? '' : ' invalid'}">...<button type="button" class="file-remove" data-file-idx="${index}" aria-label="${l10n.remove.replace('{NAME}', name)}">&times;</button></li>`] - name is the HTML escaped name of the file, and file the File object. isValid is false if the file doesn't match the accept, data-max-size or data-max-count attributes of the input. The remove buttons must have the data-file-idx attribute
+ * @param {Object} [userOptions.l10n]
+ * @param {String} [userOptions.l10n.files={COUNT} files] - File info when several files are selected
+ * @param {String} [userOptions.l10n.remove=Remove {NAME}]
  */
 function SkinFile( $input, userOptions = {} ) {
-    let $fileInfo, $parent, $resetButton, fileInfoId, originalFileInfoText, options;
+    let $fileInfo, $parent, $resetButton, fileInfoId, originalFileInfoText, options, $fileList, files, isSyncing;
+
+    const SELF           = this;
+    const THUMBNAIL_URLS = new Map();
 
     options = extend( defaultOptions, userOptions );
 
     originalFileInfoText = '';
+    files = [];
+    isSyncing = false;
 
 
     function changeState() {
@@ -58,9 +124,14 @@ function SkinFile( $input, userOptions = {} ) {
             return;
         }
 
-        aValue = $input.value.split( /(\\|\/)/ );
+        if ( $input.files && $input.files.length > 1 ) {
+            $fileInfo.innerHTML = options.l10n.files.replace( '{COUNT}', $input.files.length );
+        }
+        else {
+            aValue = $input.value.split( /(\\|\/)/ );
 
-        $fileInfo.innerHTML = aValue[ aValue.length - 1 ];
+            $fileInfo.innerHTML = aValue[ aValue.length - 1 ];
+        }
 
         $parent.classList.add( options.selectedClass );
 
@@ -70,8 +141,118 @@ function SkinFile( $input, userOptions = {} ) {
     }
 
 
-    function changeHandler() {
+    // Same checks as the accept, maxsize and maxcount validators
+    function isFileValid( file, index ) {
+        const MAX_SIZE  = $input.getAttribute( 'data-max-size' );
+        const MAX_COUNT = $input.getAttribute( 'data-max-count' );
+
+        return isFileAccepted( file, $input.getAttribute( 'accept' ) ) &&
+            ( MAX_SIZE === null || file.size <= Number( MAX_SIZE ) ) &&
+            ( MAX_COUNT === null || index < Number( MAX_COUNT ) );
+    }
+
+
+    function getThumbnailUrl( file ) {
+        if ( !options.thumbnails || !/^image\//.test( file.type ) || !window.URL || !URL.createObjectURL ) {
+            return '';
+        }
+
+        if ( !THUMBNAIL_URLS.has( file ) ) {
+            THUMBNAIL_URLS.set( file, URL.createObjectURL( file ) );
+        }
+
+        return THUMBNAIL_URLS.get( file );
+    }
+
+
+    function revokeThumbnails() {
+        THUMBNAIL_URLS.forEach( ( url, file ) => {
+            if ( !files.includes( file ) ) {
+                URL.revokeObjectURL( url );
+                THUMBNAIL_URLS.delete( file );
+            }
+        } );
+    }
+
+
+    function renderFiles() {
+        $fileList.innerHTML = files.map( ( file, index ) => {
+            return options.renderFile( {
+                file,
+                "name":         escapeHtml( file.name ),
+                index,
+                "size":         formatSize( file.size ),
+                "thumbnailUrl": getThumbnailUrl( file ),
+                "isValid":      isFileValid( file, index ),
+                "l10n":         options.l10n
+            } );
+        } ).join( '' );
+    }
+
+
+    function syncInput() {
+        const DATA_TRANSFER = new DataTransfer();
+
+        files.forEach( file => DATA_TRANSFER.items.add( file ) );
+
+        $input.files = DATA_TRANSFER.files;
+    }
+
+
+    // Update the list and the input. With notify, fire the events of a native selection on the input
+    function setFiles( newFiles, notify ) {
+        const KEYS = new Set();
+
+        files = newFiles.filter( file => {
+            const KEY = getFileKey( file );
+
+            if ( KEYS.has( KEY ) ) {
+                return false;
+            }
+
+            KEYS.add( KEY );
+
+            return true;
+        } );
+
+        revokeThumbnails();
+
+        if ( HAS_DATA_TRANSFER ) {
+            syncInput();
+        }
+
+        renderFiles();
         changeState();
+
+        if ( notify ) {
+            isSyncing = true;
+
+            fire( $input, {
+                "eventsName": "input change"
+            } );
+
+            isSyncing = false;
+        }
+    }
+
+
+    function changeHandler() {
+        let inputFiles, addToList;
+
+        if ( isSyncing ) {
+            return;
+        }
+
+        if ( !options.dropZone ) {
+            changeState();
+            return;
+        }
+
+        inputFiles = Array.from( $input.files || [] );
+        addToList  = HAS_DATA_TRANSFER && $input.multiple && files.length > 0;
+
+        // The native events are not fired again: this handler runs first, so the other listeners get the merged files
+        setFiles( addToList ? files.concat( inputFiles ) : inputFiles );
     }
 
 
@@ -82,10 +263,106 @@ function SkinFile( $input, userOptions = {} ) {
 
     function resetHandler() {
         $input.value = '';
+
+        if ( options.dropZone ) {
+            setFiles( [] );
+            return;
+        }
+
         changeState();
     }
 
 
+    function hasDraggedFiles( e ) {
+        return !!e.dataTransfer && Array.from( e.dataTransfer.types || [] ).includes( 'Files' );
+    }
+
+
+    function onDragOver( e ) {
+        if ( $input.disabled || !hasDraggedFiles( e ) ) {
+            return;
+        }
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+
+        $parent.classList.add( options.dragOverClass );
+    }
+
+
+    function onDragLeave( e ) {
+        if ( !$parent.contains( e.relatedTarget ) ) {
+            $parent.classList.remove( options.dragOverClass );
+        }
+    }
+
+
+    function onDrop( e ) {
+        if ( !hasDraggedFiles( e ) ) {
+            return;
+        }
+
+        e.preventDefault();
+
+        $parent.classList.remove( options.dragOverClass );
+
+        SELF.addFiles( e.dataTransfer.files );
+    }
+
+
+    function onFileListClick( e ) {
+        const $BUTTON = e.target.closest( '[data-file-idx]' );
+
+        if ( !$BUTTON ) {
+            return;
+        }
+
+        SELF.removeFile( Number( $BUTTON.getAttribute( 'data-file-idx' ) ) );
+    }
+
+
+    /**
+     * Get the listed files, with dropZone
+     *
+     * @memberof SkinFile
+     * @member {File[]} files
+     * @instance
+     */
+    Object.defineProperty( this, 'files', {
+        "get": () => files.slice()
+    } );
+
+
+    /**
+     * Add files, with dropZone. They replace the current file if the input is not multiple
+     *
+     * @param {FileList|File[]} fileList
+     */
+    this.addFiles = fileList => {
+        const NEW_FILES = Array.from( fileList );
+
+        if ( !options.dropZone || !HAS_DATA_TRANSFER || $input.disabled || !NEW_FILES.length ) {
+            return;
+        }
+
+        setFiles( $input.multiple ? files.concat( NEW_FILES ) : NEW_FILES.slice( 0, 1 ), true );
+    }
+
+
+    /**
+     * Remove a file, with dropZone
+     *
+     * @param {Number} index - Index of the file in the files list
+     */
+    this.removeFile = index => {
+        if ( !options.dropZone || !HAS_DATA_TRANSFER || $input.disabled || !files[ index ] ) {
+            return;
+        }
+
+        setFiles( files.filter( ( file, fileIndex ) => fileIndex !== index ), true );
+    }
+
+
     function enableDisable( fnName, disabled ) {
         $input.disabled = disabled;
         $parent.classList[ fnName ]( options.disabledClass );
@@ -167,9 +444,11 @@ function SkinFile( $input, userOptions = {} ) {
     }
 
 
+    // In the capture phase, to update the files of the input before the other listeners (validator, ...) are called
     on( $input, {
         "eventsName": "change",
-        "callback": changeHandler
+        "callback": changeHandler,
+        "capture": true
     } );
 
 
@@ -187,6 +466,39 @@ function SkinFile( $input, userOptions = {} ) {
     }
 
 
+    if ( options.dropZone ) {
+        $fileList = $parent.querySelector( options.fileListSelector );
+
+        if ( !$fileList ) {
+            $fileList = strToDOM( options.fileList );
+            append( $fileList, $parent );
+        }
+
+        on( $parent, {
+            "eventsName": "dragenter dragover",
+            "callback": onDragOver
+        } );
+
+        on( $parent, {
+            "eventsName": "dragleave",
+            "callback": onDragLeave
+        } );
+
+        on( $parent, {
+            "eventsName": "drop",
+            "callback": onDrop
+        } );
+
+        on( $fileList, {
+            "eventsName": "click",
+            "callback": onFileListClick
+        } );
+
+        files = Array.from( $input.files || [] );
+        renderFiles();
+    }
+
+
     changeState();
 
     $input.__skinAPI = $parent.__skinAPI = this;
@@ -209,6 +521,13 @@ function SkinFile( $input, userOptions = {} ) {
  * @param {String} [options.disabledClass=disabled]
  * @param {String} [options.invalidClass=invalid]
  * @param {String} [options.selectedClass=selected]
+ * @param {Boolean} [options.dropZone=false]
+ * @param {String} [options.dragOverClass=drag-over]
+ * @param {String} [options.fileListSelector=".file-list"]
+ * @param {String} [options.fileList=<ul class="file-list"></ul>]
+ * @param {Boolean} [options.thumbnails=true]
+ * @param {Function} [options.renderFile]
+ * @param {Object} [options.l10n]
  *
  * @example // Call with default options:
  * skinInputFile( $input, {
@@ -221,7 +540,19 @@ function SkinFile( $input, userOptions = {} ) {
  *  "resetButton": "<span class=\"file-reset\">&times;</span>",
  *  "disabledClass": "disabled",
  *  "invalidClass": "invalid",
- *  "selectedClass": "selected"
+ *  "selectedClass": "selected",
+ *  "dropZone": false,
+ *  "dragOverClass": "drag-over",
+ *  "fileListSelector": ".file-list",
+ *  "fileList": "<ul class=\"file-list\"></ul>",
+ *  "thumbnails": true,
+ *  "renderFile": ( { name, index, size, thumbnailUrl, isValid, l10n } ) => {
+ *      return `<li class="file-itm${ isValid ? '' : ' invalid' }">${ thumbnailUrl ? `<img class="file-thumb" src="${ thumbnailUrl }" alt="">` : '' }<span class="file-name">${ name }</span> <span class="file-size">${ size }</span><button type="button" class="file-remove" data-file-idx="${ index }" aria-label="${ l10n.remove.replace( '{NAME}', name ) }">&times;</button></li>`;
+ *  },
+ *  "l10n": {
+ *      "files": "{COUNT} files",
+ *      "remove": "Remove {NAME}"
+ *  }
  * } );
  *
  * @returns {SkinFile}
@@ -247,6 +578,13 @@ export function skinInputFile( $input, options ) {
  * @param {String} [options.disabledClass=disabled]
  * @param {String} [options.invalidClass=invalid]
  * @param {String} [options.selectedClass=selected]
+ * @param {Boolean} [options.dropZone=false]
+ * @param {String} [options.dragOverClass=drag-over]
+ * @param {String} [options.fileListSelector=".file-list"]
+ * @param {String} [options.fileList=<ul class="file-list"></ul>]
+ * @param {Boolean} [options.thumbnails=true]
+ * @param {Function} [options.renderFile]
+ * @param {Object} [options.l10n]
  *
  * @example // Call with default options:
  * skinInputFileAll( $wrapper, {
@@ -259,7 +597,8 @@ export function skinInputFile( $input, options ) {
  *  "resetButton": "<span class=\"file-reset\">&times;</span>",
  *  "disabledClass": "disabled",
  *  "invalidClass": "invalid",
- *  "selectedClass": "selected"
+ *  "selectedClass": "selected",
+ *  "dropZone": false
  * } );
  *
  * @returns {SkinFile[]}
@@ -5,11 +5,13 @@ import { template } from '@creative-web-solution/front-library/Modules/template'
 import { wrap } from '@creative-web-solution/front-library/DOM/wrap';
 import { strToDOM } from '@creative-web-solution/front-library/DOM/strToDOM';
 import { index } from '@creative-web-solution/front-library/DOM/index';
-import { hClass, aClass } from '@creative-web-solution/front-library/DOM/Class';
+import { hClass, aClass, tClass } from '@creative-web-solution/front-library/DOM/Class';
 import { rClass } from '@creative-web-solution/front-library/DOM/Class';
 import { position } from '@creative-web-solution/front-library/DOM/position';
 import { height } from '@creative-web-solution/front-library/DOM/Size';
 import { outerHeight } from '@creative-web-solution/front-library/DOM/OuterSize';
+import { normalizeString } from '@creative-web-solution/front-library/Helpers/FuzzySearch';
+import { FloatingPosition } from '@creative-web-solution/front-library/Helpers/FloatingPosition';
 
 
 const defaultOptions = {
@@ -25,11 +27,34 @@ const defaultOptions = {
     "disabledClass": "disabled",
     "invalidClass": "invalid",
     "loadingClass": "loading",
+    "portal": false,
+    "autoPosition": false,
+    "searchable": false,
+    "searchClassName": "select-search",
+    "emptyClassName": "select-empty",
+    "groupClassName": "select-group",
+    "multipleClass": "multiple",
+    "actionsClassName": "select-actions",
+    "selectAllClassName": "select-all",
+    "clearClassName": "select-clear",
+    "l10n": {
+        "search": "Search",
+        "noResult": "No result",
+        "selected": "{COUNT} selected",
+        "selectAll": "Select all",
+        "clear": "Clear"
+    },
     "listTpl": [
         '<div class="select-layer">',
         '<ul class="select-list">',
         '<% for ( var i = 0, len = list.length; i < len; ++i ) { %>',
+        '<% if ( groupLabels[ i ] ) { %>',
+        '<li class="select-group" role="presentation"><%= groupLabels[ i ] %></li>',
+        '<% } %>',
         '<li class="select-itm<%= list[ i ].selected ? " on" : "" %>" data-value="<%= list[ i ].value %>">',
+        '<% if ( multiple ) { %>',
+        '<span class="select-check" aria-hidden="true"></span>',
+        '<% } %>',
         '<%= list[ i ].text %>',
         '</li>',
         '<% } %>',
@@ -41,6 +66,8 @@ const defaultOptions = {
 
 /**
  * Skin an HTML select element. If options.full is set to true, also skin the options list.
+ * Select multiple are only skinned with options.full: their items toggle the selection and the title summarizes it.
+ * Disabled options and options of a disabled optgroup can't be chosen in the skinned list.
  * You can access the skin API in the __skinAPI property of the $select HTMLElement or its wrapper.
  * @class
  *
@@ -56,7 +83,23 @@ const defaultOptions = {
  * @param {String} [userOptions.disabledClass=disabled]
  * @param {String} [userOptions.invalidClass=invalid]
  * @param {String} [userOptions.loadingClass=loading]
- * @param {String} [userOptions.listTpl]
+ * @param {Boolean|HTMLElement} [userOptions.portal=false] - With full, move the layer in this element (document.body if true), to not be clipped by an overflow hidden parent. The layer then gets the openedListClass (and the multipleClass) itself, and is positioned like with autoPosition
+ * @param {Boolean} [userOptions.autoPosition=false] - With full, position the layer with Helpers/FloatingPosition: under the select, or above it when there is no room below, and updated on scroll and resize. The layer must be absolutely positioned in CSS
+ * @param {Boolean} [userOptions.searchable=false] - With full, add a search field filtering the options list, ignoring case and diacritics
+ * @param {String} [userOptions.searchClassName=select-search]
+ * @param {String} [userOptions.emptyClassName=select-empty] - Message displayed when no option matches the search
+ * @param {String} [userOptions.groupClassName=select-group] - Class of the optgroup labels in the listTpl
+ * @param {String} [userOptions.multipleClass=multiple] - Added on the wrapper of a select multiple
+ * @param {String} [userOptions.actionsClassName=select-actions] - Wrapper of the select all and clear buttons of a select multiple
+ * @param {String} [userOptions.selectAllClassName=select-all]
+ * @param {String} [userOptions.clearClassName=select-clear]
+ * @param {Object} [userOptions.l10n]
+ * @param {String} [userOptions.l10n.search=Search] - Placeholder and label of the search field
+ * @param {String} [userOptions.l10n.noResult=No result]
+ * @param {String} [userOptions.l10n.selected={COUNT} selected] - Title of a select multiple with more than one selected option
+ * @param {String} [userOptions.l10n.selectAll=Select all]
+ * @param {String} [userOptions.l10n.clear=Clear]
+ * @param {String} [userOptions.listTpl] - Receives list (the options), groupLabels (the label of the optgroup starting at each option index) and multiple
  */
 function SkinSelect( $select, userOptions = {} ) {
     let $parent,
@@ -68,13 +111,21 @@ function SkinSelect( $select, userOptions = {} ) {
         focusedItemIndex,
         $options,
         isListOpened,
+        $search,
+        $empty,
+        searchItems,
+        searchGroups,
+        $portal,
+        floatingPosition,
         options;
 
     const SELF = this;
 
     loading = false;
 
-    if ( $select.hasAttribute('multiple') || $select.__skinAPI ) {
+    const IS_MULTIPLE = $select.hasAttribute( 'multiple' );
+
+    if ( IS_MULTIPLE && !userOptions.full || $select.__skinAPI ) {
         return;
     }
 
@@ -86,19 +137,45 @@ function SkinSelect( $select, userOptions = {} ) {
         extraClass = [extraClass, $select.getAttribute('data-class')].join( ' ' );
     }
 
+    if ( options.full && options.portal ) {
+        $portal = options.portal === true ? document.body : options.portal;
+    }
+
 
     function closeList() {
         $parent.classList.remove( options.openedListClass );
 
+        if ( $portal && $layer ) {
+            rClass( $layer, options.openedListClass );
+        }
+
+        if ( floatingPosition ) {
+            floatingPosition.stop();
+        }
+
         off( document.body, {
             "eventsName": "click",
-            "callback":   closeList
+            "callback":   onBodyClick
         } );
 
         isListOpened = false;
 
         removeItemFocus();
 
+        if ( $search && document.activeElement === $search ) {
+            $span.focus();
+        }
+    }
+
+
+    // Clicks in the layer, outside of the items (search field, group labels...), keep the list opened.
+    // A select multiple also stays opened when an item is toggled.
+    function onBodyClick( e ) {
+        if ( $layer && $layer.contains( e.target ) && ( IS_MULTIPLE || !e.target.closest( `.${ options.itemClassName }` ) ) ) {
+            return;
+        }
+
+        closeList();
     }
 
 
@@ -114,23 +191,45 @@ function SkinSelect( $select, userOptions = {} ) {
 
         $parent.classList.add( options.openedListClass );
 
+        if ( $portal ) {
+            aClass( $layer, options.openedListClass );
+        }
+
         window.requestAnimationFrame( () => {
             on( document.body, {
                 "eventsName": "click",
-                "callback":   closeList
+                "callback":   onBodyClick
             } );
         }, 0 );
 
+        if ( $search ) {
+            $search.value = '';
+            filterOptions();
+        }
+
         if ( $options ) {
             if ( $lastOption ) {
-                focusedItemIndex = index( $lastOption );
+                focusedItemIndex = Array.prototype.indexOf.call( $options, $lastOption );
                 focusedItemIndex = focusedItemIndex > -1 ? focusedItemIndex : null;
             }
 
-            focusItem( focusedItemIndex !== null ? focusedItemIndex : 0 );
+            if ( focusedItemIndex !== null ) {
+                focusItem( focusedItemIndex );
+            }
+            else {
+                focusSiblingItem( 1 );
+            }
         }
 
         isListOpened = true;
+
+        if ( floatingPosition ) {
+            floatingPosition.start();
+        }
+
+        if ( $search ) {
+            $search.focus();
+        }
     }
 
 
@@ -199,12 +298,34 @@ function SkinSelect( $select, userOptions = {} ) {
     };
 
 
+    // Text of the selected option or number of selected options
+    function getMultipleTitle() {
+        const SELECTED_OPTIONS = Array.from( $select.options ).filter( $option => $option.selected );
+
+        if ( !SELECTED_OPTIONS.length ) {
+            return '';
+        }
+
+        if ( SELECTED_OPTIONS.length === 1 ) {
+            return SELECTED_OPTIONS[ 0 ].text;
+        }
+
+        return options.l10n.selected.replace( '{COUNT}', SELECTED_OPTIONS.length );
+    }
+
+
     /**
-     * Force the update of title with the currently selected element text
+     * Force the update of title with the currently selected element text.
+     * For a select multiple, the list stays opened.
      */
     this.updateTitle = () => {
         let title;
 
+        if ( IS_MULTIPLE ) {
+            $span.innerHTML = getMultipleTitle();
+            return;
+        }
+
         if ( $select.selectedIndex < 0 ) {
             $span.innerHTML = '';
             closeList();
@@ -219,10 +340,57 @@ function SkinSelect( $select, userOptions = {} ) {
     }
 
 
+    // Index in $select.options of an <option> or of a skinned item
+    function getOptionIndex( $option ) {
+        if ( $options && Array.prototype.includes.call( $options, $option ) ) {
+            return Array.prototype.indexOf.call( $options, $option );
+        }
+
+        // Also right for the options in an <optgroup>
+        if ( isNumber( $option.index ) ) {
+            return $option.index;
+        }
+
+        return index( $option );
+    }
+
+
+    function isOptionDisabled( $option ) {
+        return $option.disabled || $option.parentNode.nodeName === 'OPTGROUP' && $option.parentNode.disabled;
+    }
+
+
+    // Sync the active class of the skinned items of a select multiple with the native options
+    function updateItemsState() {
+        if ( !$options ) {
+            return;
+        }
+
+        $options.forEach( ( $item, optionIndex ) => {
+            tClass( $item, options.activeOptionClass, $select.options[ optionIndex ].selected );
+        } );
+    }
+
+
+    // Choose an item in the skinned list: select it, or toggle it for a select multiple
+    function chooseItem( optionIndex ) {
+        if ( optionIndex === null || !$select.options[ optionIndex ] || isOptionDisabled( $select.options[ optionIndex ] ) ) {
+            return;
+        }
+
+        if ( IS_MULTIPLE ) {
+            SELF.toggle( optionIndex );
+            return;
+        }
+
+        SELF.select( optionIndex );
+    }
+
+
     /**
      * Select an option
      *
-     * @param {HTMLElement|Number} optionOrIndex
+     * @param {HTMLElement|Number} optionOrIndex - Index, <option> or skinned item
      */
     this.select = optionOrIndex => {
         let _index, option, isParameterANumber;
@@ -237,7 +405,7 @@ function SkinSelect( $select, userOptions = {} ) {
             _index = optionOrIndex;
         }
         else {
-            _index = index( optionOrIndex );
+            _index = getOptionIndex( optionOrIndex );
         }
 
         if ( _index < 0 || _index > $select.options.length ) {
@@ -246,8 +414,8 @@ function SkinSelect( $select, userOptions = {} ) {
 
         $select.options[ _index ].selected = true;
 
-        if ( options.full ) {
-            option = $parent.querySelectorAll( `.${ options.itemClassName }` )[ _index ];
+        if ( options.full && !IS_MULTIPLE ) {
+            option = $options && $options[ _index ];
 
             if ( $lastOption ) {
                 $lastOption.classList.remove( options.activeOptionClass );
@@ -265,6 +433,81 @@ function SkinSelect( $select, userOptions = {} ) {
     }
 
 
+    /**
+     * Unselect an option of a select multiple
+     *
+     * @param {HTMLElement|Number} optionOrIndex - Index, <option> or skinned item
+     */
+    this.unselect = optionOrIndex => {
+        let _index;
+
+        if ( !IS_MULTIPLE || $select.disabled || loading ) {
+            return;
+        }
+
+        _index = isNumber( optionOrIndex ) ? optionOrIndex : getOptionIndex( optionOrIndex );
+
+        if ( !$select.options[ _index ] ) {
+            return;
+        }
+
+        $select.options[ _index ].selected = false;
+
+        fire( $select, {
+            "eventsName": "change"
+        } );
+    }
+
+
+    /**
+     * Select or unselect an option of a select multiple
+     *
+     * @param {HTMLElement|Number} optionOrIndex - Index, <option> or skinned item
+     */
+    this.toggle = optionOrIndex => {
+        const _INDEX = isNumber( optionOrIndex ) ? optionOrIndex : getOptionIndex( optionOrIndex );
+
+        if ( !$select.options[ _INDEX ] ) {
+            return;
+        }
+
+        SELF[ $select.options[ _INDEX ].selected ? 'unselect' : 'select' ]( _INDEX );
+    }
+
+
+    function setAllOptions( isSelected ) {
+        if ( !IS_MULTIPLE || $select.disabled || loading ) {
+            return;
+        }
+
+        Array.from( $select.options ).forEach( $option => {
+            if ( !isOptionDisabled( $option ) ) {
+                $option.selected = isSelected;
+            }
+        } );
+
+        fire( $select, {
+            "eventsName": "change"
+        } );
+    }
+
+
+    /**
+     * Select all the enabled options of a select multiple
+     */
+    this.selectAll = () => {
+        setAllOptions( true );
+    }
+
+
+    /**
+     * Unselect all the enabled options of a select multiple
+     */
+    this.clear = () => {
+        setAllOptions( false );
+    }
+
+
     function setSelectOptions( data ) {
         let normalizedData, hasSelectedOption;
 
@@ -282,7 +525,7 @@ function SkinSelect( $select, userOptions = {} ) {
             }
         } );
 
-        if ( !hasSelectedOption ) {
+        if ( !hasSelectedOption && !IS_MULTIPLE ) {
             normalizedData[ 0 ].selected = true;
         }
 
@@ -324,27 +567,277 @@ function SkinSelect( $select, userOptions = {} ) {
             $layer.parentNode.removeChild( $layer );
         }
 
-        htmlList = template( options.listTpl, { "list": $select.options } );
+        htmlList = template( options.listTpl, {
+            "list":        $select.options,
+            "groupLabels": getGroupLabels(),
+            "multiple":    IS_MULTIPLE
+        } );
         $parent.appendChild( strToDOM( htmlList ) );
 
         $layer     = $parent.querySelector( `.${ options.layerClassName }` );
-        $options   = $layer.querySelectorAll( 'li' );
+        $options   = $layer.querySelectorAll( `.${ options.itemClassName }` );
+
+        $lastOption = $layer.querySelector( `li.${ options.activeOptionClass }` );
+
+        on( $layer, {
+            "eventsName": "click",
+            "callback":   fakeOptionsClickHandler
+        } );
+
+        if ( $portal ) {
+            $portal.appendChild( $layer );
+
+            if ( IS_MULTIPLE ) {
+                aClass( $layer, options.multipleClass );
+            }
+        }
 
-        $lastOption = $parent.querySelector( `li.${ options.activeOptionClass }` );
+        if ( $portal || options.autoPosition ) {
+            floatingPosition = new FloatingPosition( $layer, $parent, {
+                "matchWidth": true
+            } );
+        }
+
+        $options.forEach( ( $item, optionIndex ) => {
+            if ( isOptionDisabled( $select.options[ optionIndex ] ) ) {
+                aClass( $item, options.disabledClass );
+                $item.setAttribute( 'aria-disabled', 'true' );
+            }
+        } );
+
+        if ( IS_MULTIPLE ) {
+            initActions();
+        }
+
+        if ( options.searchable ) {
+            initSearch();
+        }
+    }
+
+
+    // Label of the optgroup starting at each option index
+    function getGroupLabels() {
+        return Array.from( $select.options ).map( ( $option, optionIndex ) => {
+            const $GROUP = $option.parentNode;
+
+            if ( $GROUP.nodeName !== 'OPTGROUP' || optionIndex > 0 && $select.options[ optionIndex - 1 ].parentNode === $GROUP ) {
+                return '';
+            }
+
+            return $GROUP.label;
+        } );
+    }
+
+
+    function initActions() {
+        const $ACTIONS = document.createElement( 'div' );
+
+        $ACTIONS.className = options.actionsClassName;
+
+        [
+            [ options.selectAllClassName, options.l10n.selectAll, SELF.selectAll ],
+            [ options.clearClassName, options.l10n.clear, SELF.clear ]
+        ].forEach( ( [ className, text, action ] ) => {
+            const $BUTTON = document.createElement( 'button' );
+
+            $BUTTON.type = 'button';
+            $BUTTON.className = className;
+            $BUTTON.textContent = text;
+            $ACTIONS.appendChild( $BUTTON );
+
+            on( $BUTTON, {
+                "eventsName": "click",
+                "callback":   () => action()
+            } );
+        } );
+
+        $layer.insertBefore( $ACTIONS, $layer.firstChild );
+    }
+
+
+    function initSearch() {
+        let $groupLabels, groupIndex;
+
+        $search = document.createElement( 'input' );
+        $search.type = 'text';
+        $search.className = options.searchClassName;
+        $search.setAttribute( 'autocomplete', 'off' );
+        $search.setAttribute( 'placeholder', options.l10n.search );
+        $search.setAttribute( 'aria-label', options.l10n.search );
+        $layer.insertBefore( $search, $layer.firstChild );
+
+        $empty = document.createElement( 'div' );
+        $empty.className = options.emptyClassName;
+        $empty.setAttribute( 'role', 'status' );
+        $empty.textContent = options.l10n.noResult;
+        $empty.hidden = true;
+        $layer.appendChild( $empty );
+
+        $groupLabels = $layer.querySelectorAll( `.${ options.groupClassName }` );
+        groupIndex   = 0;
+        searchGroups = new Map();
+
+        searchItems = Array.from( $options ).map( ( $item, optionIndex ) => {
+            const $GROUP = $select.options[ optionIndex ].parentNode;
+
+            if ( $GROUP.nodeName === 'OPTGROUP' && !searchGroups.has( $GROUP ) ) {
+                searchGroups.set( $GROUP, {
+                    "$label": $groupLabels[ groupIndex++ ],
+                    "text":   normalizeString( $GROUP.label )
+                } );
+            }
+
+            return {
+                $item,
+                "text":  normalizeString( $select.options[ optionIndex ].text ),
+                "group": searchGroups.get( $GROUP )
+            };
+        } );
+
+        on( $search, {
+            "eventsName": "input",
+            "callback":   onSearchInput
+        } );
+
+        on( $search, {
+            "eventsName": "keydown",
+            "callback":   onSearchKeydown
+        } );
+
+        on( $search, {
+            "eventsName": "keyup",
+            "callback":   onSearchKeyup
+        } );
+    }
+
+
+    // Hide the items not matching the search. All the items of a group are displayed if its label matches.
+    function filterOptions() {
+        let hasResults = false;
+
+        const QUERY = normalizeString( $search.value.trim() );
+
+        searchGroups.forEach( group => {
+            group.isMatching = group.text.includes( QUERY );
+            group.hasResults = false;
+        } );
+
+        searchItems.forEach( item => {
+            const IS_VISIBLE = item.text.includes( QUERY ) || !!item.group && item.group.isMatching;
+
+            item.$item.hidden = !IS_VISIBLE;
+
+            if ( IS_VISIBLE ) {
+                hasResults = true;
+
+                if ( item.group ) {
+                    item.group.hasResults = true;
+                }
+            }
+        } );
+
+        searchGroups.forEach( group => {
+            if ( group.$label ) {
+                group.$label.hidden = !group.hasResults;
+            }
+        } );
+
+        $empty.hidden = hasResults;
+    }
+
+
+    function onSearchInput() {
+        filterOptions();
+        removeItemFocus();
+        focusSiblingItem( 1 );
+    }
+
+
+    function onSearchKeydown( e ) {
+        switch ( e.keyCode ) {
+            case 38: // UP
+                e.preventDefault();
+                focusSiblingItem( -1 );
+                break;
+
+            case 40: // DOWN
+                e.preventDefault();
+                focusSiblingItem( 1 );
+                break;
+
+            case 13: // ENTER
+                e.preventDefault();
+                break;
+
+            case 27: // ESCAPE
+                e.preventDefault();
+                closeList();
+                break;
+
+            case 9: // TAB
+                closeList();
+                break;
+        }
+    }
+
+
+    // The item is chosen on keyup, like on the select: closing the list on keydown would send the keyup to the select and open it again
+    function onSearchKeyup( e ) {
+        if ( e.keyCode !== 13 ) { // ENTER
+            return;
+        }
+
+        chooseItem( focusedItemIndex );
+
+        if ( !IS_MULTIPLE ) {
+            closeList();
+        }
     }
 
 
     function changeHandler() {
+        if ( IS_MULTIPLE ) {
+            updateItemsState();
+        }
+
         SELF.updateTitle();
     }
 
 
     // Handle click on the skinned ul>li list
     function fakeOptionsClickHandler( e ) {
-        if ( !e.target.matches( '.' + options.itemClassName ) ) {
+        const $ITEM = e.target.closest( '.' + options.itemClassName );
+
+        if ( !$ITEM || !$layer.contains( $ITEM ) ) {
+            return;
+        }
+
+        chooseItem( getOptionIndex( $ITEM ) );
+    }
+
+
+    // Focus the previous (-1) or next (1) item, skipping the disabled ones and the ones hidden by the search
+    function focusSiblingItem( step ) {
+        let position;
+
+        const VISIBLE_OPTIONS = Array.from( $options ).filter( ( $option, optionIndex ) => {
+            return !$option.hidden && !isOptionDisabled( $select.options[ optionIndex ] );
+        } );
+
+        if ( !VISIBLE_OPTIONS.length ) {
             return;
         }
-        SELF.select( e.target );
+
+        position = VISIBLE_OPTIONS.indexOf( $options[ focusedItemIndex ] ) + step;
+
+        if ( position < 0 ) {
+            position = VISIBLE_OPTIONS.length - 1;
+        }
+        else if ( position >= VISIBLE_OPTIONS.length ) {
+            position = 0;
+        }
+
+        focusItem( Array.prototype.indexOf.call( $options, VISIBLE_OPTIONS[ position ] ) );
     }
 
 
@@ -400,6 +893,7 @@ function SkinSelect( $select, userOptions = {} ) {
             case 38: // UP
             case 40: // DOWN
             case 13: // ENTER
+            case 32: // SPACE
             case 27: // ESCAPE
                 e.preventDefault();
                 break;
@@ -410,14 +904,14 @@ function SkinSelect( $select, userOptions = {} ) {
     function onKeyup( e ) {
         switch ( e.keyCode ) {
             case 38: // UP
-                focusItem( focusedItemIndex - 1 );
+                focusSiblingItem( -1 );
                 break;
             case 40: // DOWN
                 if ( !isListOpened ) {
                     openList();
                     break;
                 }
-                focusItem( focusedItemIndex + 1 );
+                focusSiblingItem( 1 );
                 break;
 
             case 13: // ENTER
@@ -426,8 +920,11 @@ function SkinSelect( $select, userOptions = {} ) {
                     openList();
                     break;
                 }
-                SELF.select( focusedItemIndex );
-                closeList();
+                chooseItem( focusedItemIndex );
+
+                if ( !IS_MULTIPLE ) {
+                    closeList();
+                }
                 break;
 
             case 27: // ESCAPE
@@ -447,6 +944,10 @@ function SkinSelect( $select, userOptions = {} ) {
 
     $parent = $select.parentNode;
 
+    if ( IS_MULTIPLE ) {
+        aClass( $parent, options.multipleClass );
+    }
+
     $span = $parent.querySelector( `.${ options.selectWrapClassName }`);
 
     if ( !$span ) {
@@ -476,11 +977,6 @@ function SkinSelect( $select, userOptions = {} ) {
             "callback":   onKeyup
         } );
 
-        on( $parent, {
-            "eventsName": "click",
-            "callback":   fakeOptionsClickHandler
-        } );
-
     }
 
     $select.__skinAPI = $parent.__skinAPI = this;
@@ -512,6 +1008,17 @@ function SkinSelect( $select, userOptions = {} ) {
  * @param {String} [options.disabledClass=disabled]
  * @param {String} [options.invalidClass=invalid]
  * @param {String} [options.loadingClass=loading]
+ * @param {Boolean|HTMLElement} [options.portal=false]
+ * @param {Boolean} [options.autoPosition=false]
+ * @param {Boolean} [options.searchable=false] - With full, add a search field filtering the options list, ignoring case and diacritics
+ * @param {String} [options.searchClassName=select-search]
+ * @param {String} [options.emptyClassName=select-empty]
+ * @param {String} [options.groupClassName=select-group]
+ * @param {String} [options.multipleClass=multiple]
+ * @param {String} [options.actionsClassName=select-actions]
+ * @param {String} [options.selectAllClassName=select-all]
+ * @param {String} [options.clearClassName=select-clear]
+ * @param {Object} [options.l10n]
  * @param {String} [options.listTpl]
  *
  * @example // Call with default options:
@@ -525,11 +1032,34 @@ function SkinSelect( $select, userOptions = {} ) {
  *  "activeOptionClass": "on",
  *  "disabledClass": "disabled",
  *  "loadingClass": "loading",
+ *  "portal": false,
+ *  "autoPosition": false,
+ *  "searchable": false,
+ *  "searchClassName": "select-search",
+ *  "emptyClassName": "select-empty",
+ *  "groupClassName": "select-group",
+ *  "multipleClass": "multiple",
+ *  "actionsClassName": "select-actions",
+ *  "selectAllClassName": "select-all",
+ *  "clearClassName": "select-clear",
+ *  "l10n": {
+ *      "search": "Search",
+ *      "noResult": "No result",
+ *      "selected": "{COUNT} selected",
+ *      "selectAll": "Select all",
+ *      "clear": "Clear"
+ *  },
  *  "listTpl": [
  *          '<div class="select-layer">',
  *              '<ul class="select-list">',
  *                  '<% for ( var i = 0, len = list.length; i < len; ++i ) { %>',
+ *                      '<% if ( groupLabels[ i ] ) { %>',
+ *                          '<li class="select-group" role="presentation"><%= groupLabels[ i ] %></li>',
+ *                      '<% } %>',
  *                      '<li class="select-itm<%= list[ i ].selected ? " on" : "" %>" data-value="<%= list[ i ].value %>">',
+ *                      '<% if ( multiple ) { %>',
+ *                          '<span class="select-check" aria-hidden="true"></span>',
+ *                      '<% } %>',
  *                      '<%= list[ i ].text %>',
  *                      '</li>',
  *                  '<% } %>',
@@ -561,6 +1091,17 @@ export function skinSelect( $select, options ) {
  * @param {String} [options.disabledClass=disabled]
  * @param {String} [options.invalidClass=invalid]
  * @param {String} [options.loadingClass=loading]
+ * @param {Boolean|HTMLElement} [options.portal=false]
+ * @param {Boolean} [options.autoPosition=false]
+ * @param {Boolean} [options.searchable=false]
+ * @param {String} [options.searchClassName=select-search]
+ * @param {String} [options.emptyClassName=select-empty]
+ * @param {String} [options.groupClassName=select-group]
+ * @param {String} [options.multipleClass=multiple]
+ * @param {String} [options.actionsClassName=select-actions]
+ * @param {String} [options.selectAllClassName=select-all]
+ * @param {String} [options.clearClassName=select-clear]
+ * @param {Object} [options.l10n]
  * @param {String} [options.listTpl]
  *
  * @example // See skinSelect for example of options
@@ -1,12 +1,15 @@
-import { on, one, fire } from '@creative-web-solution/front-library/Events/EventsManager';
+import { on, off, one, fire } from '@creative-web-solution/front-library/Events/EventsManager';
 import { gesture, gestureOff } from '@creative-web-solution/front-library/Events/Gesture';
 import { KeyboardHandler } from '@creative-web-solution/front-library/Events/KeyboardHandler';
+import { IntersectObserver } from '@creative-web-solution/front-library/Events/IntersectObserver';
 import { extend } from '@creative-web-solution/front-library/Helpers/Extend';
 import { defer } from '@creative-web-solution/front-library/Helpers/defer';
 import { wait } from '@creative-web-solution/front-library/Helpers/wait';
 import { index } from '@creative-web-solution/front-library/DOM/index';
 import { outerHeight } from '@creative-web-solution/front-library/DOM/OuterSize';
 import { aClass, rClass } from '@creative-web-solution/front-library/DOM/Class';
+import { strToDOM } from '@creative-web-solution/front-library/DOM/strToDOM';
+import { getTweenEngine } from '@creative-web-solution/front-library/Helpers/Tween';
 
 
 /**
@@ -17,6 +20,7 @@ import { aClass, rClass } from '@creative-web-solution/front-library/DOM/Class';
  * @property {Number} delay - In seconds
  * @property {Number} index
  * @property {Number} position - (= index + 1)
+ * @property {Number} pageIndex - Index of the page of the slide
  * @property {Boolean} isFirst
  * @property {Boolean} isLast
  * @property {Boolean} isVisible
@@ -31,6 +35,15 @@ import { aClass, rClass } from '@creative-web-solution/front-library/DOM/Class';
  * @property {Number} direction - 1 = next, -1 = previous
  */
 
+/**
+ * @callback Slider_VirtualDataSource
+ * @memberof Slider
+ * @description Called each time a slide enters the rendered window in virtual mode
+ * @param {Number} index - Index of the slide in the whole virtual list
+ *
+ * @returns {HTMLElement|String} - The slide DOM element or its HTML
+ */
+
 
 function Slide( options ) {
     let $slide, $links, size, lastOffset;
@@ -41,10 +54,12 @@ function Slide( options ) {
 
     size = 100; // %
 
+    this.$slide = $slide;
     this.id = $slide.id;
     this.index = options.index;
     this.position = options.index + 1;
     this.currentPage = Math.floor( options.index / options.slidePerPage ) + 1;
+    this.pageIndex = this.currentPage - 1;
     this.offsetToGo = options.index;
     this.isFirst = options.index === 0;
 
@@ -123,6 +138,15 @@ function Slide( options ) {
     }
 
 
+    // Translation on the x or y axis, in function of the slider mode
+    function getPositionStyles( x, styles ) {
+        return extend( {
+            [ options.axis ]: 0,
+            [ `${ options.axis }Percent` ]: x
+        }, styles );
+    }
+
+
     this.getHeight = () => {
         return outerHeight( $slide );
     };
@@ -135,6 +159,13 @@ function Slide( options ) {
 
 
     this.init = () => {
+        if ( options.transition ) {
+            lastOffset = this.offsetToGo;
+            options.transition.setup( $slide, this.offsetToGo === 0 );
+            this[ this.isActive() ? 'activate' : 'deactivate' ]();
+            return;
+        }
+
         if ( this.offsetToGo === 0 ) {
             this.x = 0;
         }
@@ -145,11 +176,9 @@ function Slide( options ) {
             this.x = getXMin( this.offsetToGo );
         }
 
-        options._setStyle( $slide, {
-            "x": 0,
-            "xPercent": this.x,
+        options._setStyle( $slide, getPositionStyles( this.x, {
             "position": this.offsetToGo === 0 ? 'relative' : 'absolute'
-        } );
+        } ) );
 
         lastOffset = this.offsetToGo;
 
@@ -176,10 +205,7 @@ function Slide( options ) {
 
         this.x = x;
 
-        options._setStyle( $slide, {
-            "x": 0,
-            "xPercent": x
-        } );
+        options._setStyle( $slide, getPositionStyles( x ) );
     }
 
 
@@ -204,10 +230,8 @@ function Slide( options ) {
 
         prom = defer();
 
-        options._tweenTo( $slide, {
+        options._tweenTo( $slide, getPositionStyles( this.x, {
             "duration": options.speed,
-            "x": 0,
-            "xPercent": this.x,
             "ease": easing,
             "onComplete": () => {
                 options._setStyle( $slide, {
@@ -218,7 +242,7 @@ function Slide( options ) {
 
                 prom.resolve();
             }
-        } );
+        } ) );
 
         return prom;
     };
@@ -243,6 +267,11 @@ function Slide( options ) {
         } );
 
         options._killTweens( $slide );
+
+        if ( options.transition && options.transition.reset ) {
+            options.transition.reset( $slide );
+        }
+
         options._setStyle( $slide, {
             "clearProps": "all"
         } );
@@ -256,6 +285,7 @@ function Slide( options ) {
             "delay": this.delay,
             "index": SELF.index,
             "position": SELF.position,
+            "pageIndex": SELF.pageIndex,
             "isFirst": SELF.isFirst,
             "isLast": SELF.isLast,
             "isVisible": this.isVisible(),
@@ -264,14 +294,62 @@ function Slide( options ) {
     };
 }
 
+/**
+ * @typedef {Object} SlideTransitionData_Params
+ * @memberof Slider
+ * @property {Slide} targetSlide
+ * @property {Slide} currentSlide
+ * @property {Number} direction - 1 = next, -1 = previous
+ * @property {Number} progress - From 0 to 1
+ */
+
+/**
+ * @typedef {Object} SlideTransition
+ * @memberof Slider
+ * @property {Function} setup - ( $slide, isActive ) => {}. Called on init and at the end of each transition for every slide
+ * @property {Function} update - ( SlideTransitionData_Params ) => {}. Called on every frame of the transition
+ * @property {Function} [reset] - ( $slide ) => {}. Called when the slider is destroyed
+ */
+
+// Stack all slides and cross-fade them
+function FadeTransition( options ) {
+    this.setup = ( $slide, isActive ) => {
+        options._setStyle( $slide, {
+            "position": isActive ? 'relative' : 'absolute',
+            "top": 0,
+            "left": 0,
+            "width": "100%",
+            "zIndex": isActive ? 1 : 0,
+            "opacity": isActive ? 1 : 0
+        } );
+    };
+
+
+    this.update = data => {
+        options._setStyle( data.targetSlide.$slide, {
+            "zIndex": 2,
+            "opacity": data.progress
+        } );
+    };
+}
+
+
 const DIRECTION_NEXT     = 1;
 const DIRECTION_PREVIOUS = -1;
 
+const MODE_HORIZONTAL = 'horizontal';
+const MODE_VERTICAL   = 'vertical';
+const MODE_FADE       = 'fade';
+
 const SLIDER_EVENT_BEFORE      = 'before';
 const SLIDER_EVENT_BEFORE_EACH = 'beforeEach';
 const SLIDER_EVENT_AFTER       = 'after';
 const SLIDER_EVENT_AFTER_EACH  = 'afterEach';
 const SLIDER_EVENT_START       = 'start';
+const SLIDER_EVENT_UPDATE      = 'update';
+
+// Options that can be changed with breakpoints or setOptions
+const RESPONSIVE_OPTIONS = [ 'slidePerPage', 'nbSlideVisibleBefore', 'nbSlideVisibleAfter', 'moveByPage', 'speed' ];
 
 
 const defaultOptions = {
@@ -286,17 +364,22 @@ const defaultOptions = {
     "itemsSelector":        ".item",
     "activeClass":          "active-slide",
     "loop":                 true,
+    "mediaQueries":         null,
+    "breakpoints":          null,
+    "mode":                 MODE_HORIZONTAL,
+    "transition":           null,
+    "virtual":              null,
     "_setStyle": ( $elem, styles ) => {
-        gsap.set( $elem, styles );
+        getTweenEngine().set( $elem, styles );
     },
     "_tweenTo": ( $elem, styles ) => {
-        gsap.to( $elem, styles );
+        getTweenEngine().to( $elem, styles );
     },
     "_tweenFromTo": ( $elem, init, styles ) => {
-        gsap.fromTo( $elem, init, styles );
+        getTweenEngine().fromTo( $elem, init, styles );
     },
     "_killTweens": ( $elem ) => {
-        gsap.killTweensOf( $elem );
+        getTweenEngine().killTweensOf( $elem );
     }
 };
 
@@ -324,15 +407,24 @@ function getNextSlideId() {
  * @param {String} [userOptions.activeClass=active-slide]
  * @param {Boolean} [userOptions.loop=true]
  * @param {Boolean} [userOptions.smoothHeight=true]
+ * @param {MediaQueriesEvents} [userOptions.mediaQueries] - Needed to use breakpoints
+ * @param {Object} [userOptions.breakpoints] - Options by breakpoint name: { "mob": { "slidePerPage": 1 }, ... }. Only slidePerPage, nbSlideVisibleBefore, nbSlideVisibleAfter, moveByPage and speed can be changed.
+ * @param {String} [userOptions.mode=horizontal] - horizontal, vertical or fade
+ * @param {SlideTransition} [userOptions.transition] - Custom transition. Override the mode option
+ * @param {Object} [userOptions.virtual] - Only render the visible slides, supplied by a data source
+ * @param {Number} userOptions.virtual.nbSlides - Total number of slides
+ * @param {Slider_VirtualDataSource} userOptions.virtual.dataSource
+ * @param {Number} [userOptions.virtual.buffer=1] - Number of hidden slides rendered on each side of the visible ones
  * @param {Callback} [userOptions.onBefore=data => {}] - Called one time at the begining of the animation
  * @param {Callback} [userOptions.onBeforeEach=data => {}] - Called for every slide that will come in the 1st position during the animation
  * @param {Callback} [userOptions.onAfter=data => {}] - Called one time at the end of the animation
  * @param {Callback} [userOptions.onAfterEach=data => {}] - Called for every slide that is came in the 1st position during the animation
  * @param {Callback} [userOptions.onStart=data => {}] - Called one time at the initialisation of the slider
- * @param {Function} [options._setStyle] - Internal function using GSAP to set CSS styles. Can be override to use another library
- * @param {Function} [options._tweenTo] - Internal function using GSAP to tween element. Can be override to use another library
- * @param {Function} [options._tweenFromTo] - Internal function using GSAP to initialize and tween element. Can be override to use another library
- * @param {Function} [options._killTweens] - Internal function using GSAP to remove tweens from element. Can be override to use another library
+ * @param {Callback} [userOptions.onUpdate=data => {}] - Called when the options are changed by a breakpoint or by setOptions
+ * @param {Function} [options._setStyle] - Internal function using GSAP, or the native tween engine if GSAP is not loaded, to set CSS styles. Can be override to use another library
+ * @param {Function} [options._tweenTo] - Internal function using GSAP, or the native tween engine if GSAP is not loaded, to tween element. Can be override to use another library
+ * @param {Function} [options._tweenFromTo] - Internal function using GSAP, or the native tween engine if GSAP is not loaded, to initialize and tween element. Can be override to use another library
+ * @param {Function} [options._killTweens] - Internal function using GSAP, or the native tween engine if GSAP is not loaded, to remove tweens from element. Can be override to use another library
  *
  * @see extra/modules/slider.md
  *
@@ -346,6 +438,11 @@ export function Slider( $slider, userOptions = {} ) {
         nbSlides,
         nbPages,
         currentSlide,
+        isVirtual,
+        virtualTargetIndex,
+        baseResponsiveOptions,
+        pendingOptions,
+        disabledIndex,
         state,
         STATE_IDLE,
         STATE_MOVING,
@@ -356,22 +453,43 @@ export function Slider( $slider, userOptions = {} ) {
 
     options = extend( defaultOptions, userOptions );
 
-    if ( !options.slidePerPage || options.slidePerPage < 1 ) {
-        throw 'SLIDER: There must be at least one slide visible';
+    if ( !options.transition && options.mode === MODE_FADE ) {
+        options.transition = new FadeTransition( options );
+    }
+
+    baseResponsiveOptions = pickResponsiveOptions( options );
+
+    if ( options.mediaQueries && options.breakpoints && options.mediaQueries.currentBreakpoint ) {
+        setResponsiveOptions( getBreakpointOptions( options.mediaQueries.currentBreakpoint ) );
+    }
+
+    normalizeOptions();
+
+    isVirtual = !!options.virtual;
+
+    if ( isVirtual && !options.virtual.dataSource ) {
+        throw 'SLIDER: A data source is needed in virtual mode';
     }
 
     $list = $slider.querySelector( options.listSelector );
-    $slides = $list.querySelectorAll( options.itemsSelector );
-    nbSlides = $slides.length;
+
+    if ( isVirtual ) {
+        options.virtual = extend( { "buffer": 1 }, options.virtual );
+        $slides = [];
+        nbSlides = options.virtual.nbSlides;
+    }
+    else {
+        $slides = $list.querySelectorAll( options.itemsSelector );
+        nbSlides = $slides.length;
+    }
 
     STATE_IDLE = 'idle';
     STATE_MOVING = 'moving';
     state = STATE_IDLE;
 
-    EASE_NONE = Linear.easeNone;
+    EASE_NONE = 'none';
 
     slidesList = [];
-    nbSlides = $slides.length;
     nbPages = Math.ceil( nbSlides / options.slidePerPage );
 
 
@@ -404,7 +522,7 @@ export function Slider( $slider, userOptions = {} ) {
 
 
     /**
-     * All slides
+     * All slides. In virtual mode, only the rendered ones.
      *
      * @memberof Slider
      * @instance
@@ -412,7 +530,7 @@ export function Slider( $slider, userOptions = {} ) {
      */
     Object.defineProperty( this, '$slides', {
         "get": function() {
-            return $slides;
+            return isVirtual ? $list.querySelectorAll( options.itemsSelector ) : $slides;
         }
     } );
 
@@ -459,6 +577,58 @@ export function Slider( $slider, userOptions = {} ) {
     } );
 
 
+    /**
+     * Transition mode: horizontal, vertical or fade
+     *
+     * @memberof Slider
+     * @instance
+     * @member {String} mode
+     */
+    Object.defineProperty( this, 'mode', {
+        "get": function() {
+            return options.mode;
+        }
+    } );
+
+
+    function pickResponsiveOptions( fromOptions ) {
+        let responsiveOptions = {};
+
+        RESPONSIVE_OPTIONS.forEach( name => {
+            if ( typeof fromOptions[ name ] !== 'undefined' ) {
+                responsiveOptions[ name ] = fromOptions[ name ];
+            }
+        } );
+
+        return responsiveOptions;
+    }
+
+
+    function setResponsiveOptions( newOptions ) {
+        options = extend( options, pickResponsiveOptions( newOptions ) );
+    }
+
+
+    // Options of the constructor, overridden by the ones of the breakpoint
+    function getBreakpointOptions( breakpoint ) {
+        return extend( baseResponsiveOptions, options.breakpoints[ breakpoint.name ] );
+    }
+
+
+    function normalizeOptions() {
+        if ( !options.slidePerPage || options.slidePerPage < 1 ) {
+            throw 'SLIDER: There must be at least one slide visible';
+        }
+
+        // With a transition, only one slide is visible at a time
+        if ( options.transition ) {
+            options.slidePerPage = 1;
+            options.nbSlideVisibleBefore = 0;
+            options.nbSlideVisibleAfter = 0;
+        }
+    }
+
+
     function getNextSlideIndex( index, step = 1 ) {
         index = index + step;
 
@@ -502,7 +672,7 @@ export function Slider( $slider, userOptions = {} ) {
             return;
         }
 
-        return slidesList[ index ];
+        return getSlideAt( index, DIRECTION_NEXT );
     }
 
 
@@ -513,7 +683,123 @@ export function Slider( $slider, userOptions = {} ) {
             return;
         }
 
-        return slidesList[ index ];
+        return getSlideAt( index, DIRECTION_PREVIOUS );
+    }
+
+
+    function createSlide( $slide, index ) {
+        return new Slide( {
+            "nbSlideVisibleBefore": options.nbSlideVisibleBefore,
+            "nbSlideVisibleAfter": options.nbSlideVisibleAfter,
+            "slidePerPage": options.slidePerPage,
+            "moveByPage": options.moveByPage,
+            nbSlides,
+            nbPages,
+            "speed": options.speed,
+            "$slide": $slide,
+            index,
+            "axis": options.mode === MODE_VERTICAL ? 'y' : 'x',
+            "transition": options.transition,
+            "_setStyle": options._setStyle,
+            "_tweenTo": options._tweenTo,
+            "_tweenFromTo": options._tweenFromTo,
+            "_killTweens": options._killTweens
+        } );
+    }
+
+
+    // Return the slide object, and render it first in virtual mode
+    function getSlideAt( index, direction ) {
+        if ( !isVirtual || slidesList[ index ] ) {
+            return slidesList[ index ];
+        }
+
+        return renderVirtualSlide( index, direction );
+    }
+
+
+    // Offset of a slide from the current one, coming from "direction"
+    function getOffsetFromCurrentSlide( index, direction ) {
+        if ( !options.loop ) {
+            return index - currentSlide.index;
+        }
+
+        if ( direction === DIRECTION_PREVIOUS ) {
+            return -1 * ( ( currentSlide.index - index + nbSlides ) % nbSlides );
+        }
+
+        return ( index - currentSlide.index + nbSlides ) % nbSlides;
+    }
+
+
+    function renderVirtualSlide( index, direction ) {
+        let $slide, slide, nextSlide;
+
+        $slide = options.virtual.dataSource( index );
+
+        if ( typeof $slide === 'string' ) {
+            $slide = strToDOM( $slide );
+        }
+
+        // Keep the DOM order of the rendered slides
+        nextSlide = slidesList.find( slide => slide && slide.index > index );
+
+        $list.insertBefore( $slide, nextSlide ? nextSlide.$slide : null );
+
+        slide = createSlide( $slide, index );
+        slidesList[ index ] = slide;
+
+        // Rendered out of the screen, on the side it is coming from
+        if ( currentSlide ) {
+            slide.setOffsetToGo( getOffsetFromCurrentSlide( index, direction ) );
+            slide.init();
+        }
+
+        return slide;
+    }
+
+
+    // Index of all the slides that must be rendered around the active one in virtual mode
+    function getVirtualWindow( activeIndex ) {
+        let indexes, nbBefore, nbAfter;
+
+        indexes = [];
+        nbBefore = options.nbSlideVisibleBefore + 1 + options.virtual.buffer;
+        nbAfter = options.slidePerPage + options.nbSlideVisibleAfter + options.virtual.buffer;
+
+        for ( let offset = -nbBefore; offset <= nbAfter; ++offset ) {
+            let index = activeIndex + offset;
+
+            if ( options.loop ) {
+                index = ( index % nbSlides + nbSlides ) % nbSlides;
+            }
+            else if ( index < 0 || index >= nbSlides ) {
+                continue;
+            }
+
+            if ( !indexes.includes( index ) ) {
+                indexes.push( index );
+            }
+        }
+
+        return indexes;
+    }
+
+
+    function removeVirtualSlides() {
+        let indexes = getVirtualWindow( currentSlide.index );
+
+        slidesList.forEach( slide => {
+            if ( indexes.includes( slide.index ) || slide.index === virtualTargetIndex ) {
+                return;
+            }
+
+            slide.destroy();
+            slide.$slide.parentNode.removeChild( slide.$slide );
+
+            // Leave a hole in the list so forEach skips it
+            delete slidesList[ slide.index ];
+        } );
     }
 
 
@@ -522,7 +808,11 @@ export function Slider( $slider, userOptions = {} ) {
 
         slide = activeSlide;
 
-        if ( direction === DIRECTION_NEXT ) {
+        if ( isVirtual && getVirtualWindow( activeSlide.index ).length < nbSlides ) {
+            nbSlideBefore = options.nbSlideVisibleBefore + 1 + options.virtual.buffer;
+            nbSlideAfter = options.nbSlideVisibleAfter + 1 + options.virtual.buffer;
+        }
+        else if ( direction === DIRECTION_NEXT ) {
             nbSlideAfter = Math.floor( ( nbSlides - options.slidePerPage ) / 2 );
             nbSlideBefore = nbSlides - options.slidePerPage - nbSlideAfter;
         }
@@ -556,8 +846,17 @@ export function Slider( $slider, userOptions = {} ) {
 
 
     function reorderSlidesWithoutLoop( activeSlide ) {
-        for ( let i = 0; i < nbSlides; ++i ) {
-            let slide = slidesList[ i ];
+        let indexes;
+
+        if ( isVirtual ) {
+            indexes = getVirtualWindow( activeSlide.index );
+        }
+        else {
+            indexes = slidesList.map( slide => slide.index );
+        }
+
+        indexes.forEach( i => {
+            let slide = getSlideAt( i, i < activeSlide.index ? DIRECTION_PREVIOUS : DIRECTION_NEXT );
 
             if ( i === activeSlide.index ) {
                 slide.setOffsetToGo( 0 );
@@ -577,7 +876,7 @@ export function Slider( $slider, userOptions = {} ) {
             } else {
                 slide.setOffsetToGo( i - activeSlide.index );
             }
-        }
+        } );
     }
 
 
@@ -625,17 +924,22 @@ export function Slider( $slider, userOptions = {} ) {
         } );
 
 
-        reorderSlides( nextActiveSlide, direction );
+        if ( options.transition ) {
+            promArray.push( runTransition( nextActiveSlide, direction ) );
+        }
+        else {
+            reorderSlides( nextActiveSlide, direction );
 
-        // All init first
-        slidesList.forEach( slide => {
-            slide.initMoveTo( direction );
-        } );
+            // All init first
+            slidesList.forEach( slide => {
+                slide.initMoveTo( direction );
+            } );
 
-        // All move only after all init are done
-        slidesList.forEach( slide => {
-            promArray.push( slide.moveTo( direction, easing ) );
-        } );
+            // All move only after all init are done
+            slidesList.forEach( slide => {
+                promArray.push( slide.moveTo( direction, easing ) );
+            } );
+        }
 
         return Promise.all( promArray ).then( () => {
             if ( options.onAfterEach ) {
@@ -655,10 +959,152 @@ export function Slider( $slider, userOptions = {} ) {
             } );
 
             currentSlide = nextActiveSlide;
+
+            if ( isVirtual ) {
+                removeVirtualSlides();
+            }
+        } );
+    }
+
+
+    function runTransition( nextActiveSlide, direction ) {
+        let deferred, tween, transitionData;
+
+        deferred = defer();
+        tween = {
+            "progress": 0
+        };
+
+        transitionData = {
+            "targetSlide": nextActiveSlide.getSlideProperties(),
+            "currentSlide": currentSlide.getSlideProperties(),
+            direction,
+            "progress": 0
+        };
+
+        options._tweenTo( tween, {
+            "duration": options.speed,
+            "progress": 1,
+            "ease": EASE_NONE,
+            "onUpdate": () => {
+                transitionData.progress = tween.progress;
+                options.transition.update( transitionData );
+            },
+            "onComplete": deferred.resolve
+        } );
+
+        return deferred.then( () => {
+            reorderSlides( nextActiveSlide, direction );
+
+            slidesList.forEach( slide => {
+                slide.init();
+            } );
+        } );
+    }
+
+
+    function createSlides( startIndex ) {
+        slidesList = [];
+
+        if ( isVirtual ) {
+            // The other slides of the window will be rendered by init()
+            currentSlide = null;
+            currentSlide = renderVirtualSlide( startIndex );
+            return;
+        }
+
+        $slides.forEach( ( $slide, index ) => {
+            let slide = createSlide( $slide, index );
+
+            if ( slide.index === startIndex ) {
+                currentSlide = slide;
+            }
+
+            slidesList.push( slide );
+        });
+    }
+
+
+    function removeSlides() {
+        slidesList.forEach( slide => {
+            slide.destroy();
+
+            if ( isVirtual ) {
+                slide.$slide.parentNode.removeChild( slide.$slide );
+            }
+        } );
+
+        slidesList = [];
+    }
+
+
+    // Rebuild all slides with the new options, keeping the current index
+    function applyOptions( newOptions ) {
+        let index, currentIndex, data;
+
+        currentIndex = options.startSlide;
+
+        if ( currentSlide ) {
+            currentIndex = currentSlide.index;
+        }
+        // Keep the slide displayed before the slider was disabled by a breakpoint
+        else if ( typeof disabledIndex !== 'undefined' ) {
+            currentIndex = disabledIndex;
+        }
+
+        if ( SELF.isEnabled() ) {
+            removeSlides();
+        }
+
+        setResponsiveOptions( newOptions );
+        normalizeOptions();
+
+        nbPages = Math.ceil( nbSlides / options.slidePerPage );
+
+        index = currentIndex;
+
+        if ( options.moveByPage ) {
+            index = index - index % options.slidePerPage;
+        }
+
+        if ( SELF.isEnabled() ) {
+            createSlides( index );
+            aClass( $slider, options.activeClass );
+            init();
+        }
+        else {
+            disabledIndex = currentIndex;
+            currentSlide = null;
+            rClass( $slider, options.activeClass );
+        }
+
+        data = {
+            "currentSlide": currentSlide ? currentSlide.getSlideProperties() : null
+        };
+
+        if ( options.onUpdate ) {
+            options.onUpdate( data );
+        }
+
+        /**
+         * When the options are changed by a breakpoint or by setOptions
+         *
+         * @event Slider#update
+         * @type {Object}
+         * @property {SlideEventData_Params} data - Only currentSlide property, null if the slider is disabled
+         */
+        fire( SELF, {
+            "eventsName": SLIDER_EVENT_UPDATE,
+            "detail": data
         } );
     }
 
 
+    function onBreakpointChange( breakpoint ) {
+        SELF.setOptions( getBreakpointOptions( breakpoint ) );
+    }
+
+
     function init() {
         reorderSlides( currentSlide, DIRECTION_NEXT );
 
@@ -816,10 +1262,13 @@ export function Slider( $slider, userOptions = {} ) {
             return Promise.resolve();
         }
 
-        nextSlide = slidesList[ index ];
         promArray = [];
 
         wayAndDirection = getShortestWayAndDirection( index, askedDirection );
+
+        // In virtual mode, the target slide is kept rendered until the end of the move
+        virtualTargetIndex = index;
+        nextSlide = getSlideAt( index, wayAndDirection.direction );
         fun =
             wayAndDirection.direction === DIRECTION_PREVIOUS
                 ? goPrevious
@@ -854,18 +1303,25 @@ export function Slider( $slider, userOptions = {} ) {
             "detail": callbackData
         } );
 
-        for ( let i = 0; i < wayAndDirection.nbStepsMin; ++i ) {
-            if ( !prom ) {
-                prom = fun( easing, $button );
-            }
-            else {
-                prom = prom.then(
-                    ( ea => {
-                        return () => {
-                            return fun( ea, $button );
-                        };
-                    } )( easing )
-                );
+        // A transition goes straight to the target slide
+        if ( options.transition ) {
+            wayAndDirection.nbStepsMin = 1;
+            prom = moveSlides( nextSlide, wayAndDirection.direction, easing, $button );
+        }
+        else {
+            for ( let i = 0; i < wayAndDirection.nbStepsMin; ++i ) {
+                if ( !prom ) {
+                    prom = fun( easing, $button );
+                }
+                else {
+                    prom = prom.then(
+                        ( ea => {
+                            return () => {
+                                return fun( ea, $button );
+                            };
+                        } )( easing )
+                    );
+                }
             }
         }
 
@@ -902,7 +1358,15 @@ export function Slider( $slider, userOptions = {} ) {
                 "detail": callbackData
             } );
 
+            virtualTargetIndex = null;
             state = STATE_IDLE;
+
+            if ( pendingOptions ) {
+                let newOptions = pendingOptions;
+
+                pendingOptions = null;
+                applyOptions( newOptions );
+            }
         } );
     }
 
@@ -989,15 +1453,62 @@ export function Slider( $slider, userOptions = {} ) {
 
 
     /**
-     * Check if the slider is enable or not
+     * Change the options of the slider without losing the current slide.
+     * Only slidePerPage, nbSlideVisibleBefore, nbSlideVisibleAfter, moveByPage and speed can be changed.
+     * If the slider is moving, the options are changed at the end of the move.
      *
      * @memberof Slider
-     * @function isEnabled
+     * @function setOptions
      * @instance
      *
-     * @returns {Boolean}
+     * @param {Object} newOptions
+     *
+     * @returns {Slider}
      */
-    this.isEnabled = () => {
+    this.setOptions = newOptions => {
+        if ( state !== STATE_IDLE ) {
+            pendingOptions = extend( pendingOptions, newOptions );
+            return this;
+        }
+
+        applyOptions( newOptions );
+
+        return this;
+    };
+
+
+    /**
+     * Go to the asked slide, whatever the moveByPage option is.
+     * Without loop, the slider doesn't move after the last full page.
+     *
+     * @memberof Slider
+     * @function moveTo
+     * @instance
+     *
+     * @param {Number} index
+     * @param {HTMLElement} [$button] - Internal use only
+     *
+     * @returns {Promise}
+     */
+    this.moveTo = ( index, $button ) => {
+        if ( !options.loop && !options.moveByPage ) {
+            index = Math.max( Math.min( index, nbSlides - options.slidePerPage ), 0 );
+        }
+
+        return moveTo( index, null, $button );
+    };
+
+
+    /**
+     * Check if the slider is enable or not
+     *
+     * @memberof Slider
+     * @function isEnabled
+     * @instance
+     *
+     * @returns {Boolean}
+     */
+    this.isEnabled = () => {
         let nbSlidesVisible =
             options.nbSlideVisibleBefore +
             options.nbSlideVisibleAfter +
@@ -1017,10 +1528,12 @@ export function Slider( $slider, userOptions = {} ) {
      * @instance
      */
     this.destroy = () => {
+        if ( options.mediaQueries && options.breakpoints ) {
+            options.mediaQueries.remove( onBreakpointChange );
+        }
+
         if ( this.isEnabled() ) {
-            slidesList.forEach( slide => {
-                slide.destroy();
-            } );
+            removeSlides();
             rClass( $slider, options.activeClass );
         }
     };
@@ -1041,7 +1554,8 @@ export function Slider( $slider, userOptions = {} ) {
 
 
     /**
-     * Get a slide in function of an index
+     * Get a slide in function of an index.
+     * In virtual mode, return undefined if the slide is not rendered.
      *
      * @memberof Slider
      * @function getSlide
@@ -1090,34 +1604,16 @@ export function Slider( $slider, userOptions = {} ) {
     };
 
 
+    if ( options.mediaQueries && options.breakpoints ) {
+        options.mediaQueries.register( onBreakpointChange );
+    }
+
     if ( !this.isEnabled() ) {
         return;
     }
 
 
-    $slides.forEach( ( $slide, index ) => {
-        let slide = new Slide( {
-            "nbSlideVisibleBefore": options.nbSlideVisibleBefore,
-            "nbSlideVisibleAfter": options.nbSlideVisibleAfter,
-            "slidePerPage": options.slidePerPage,
-            "moveByPage": options.moveByPage,
-            nbSlides,
-            nbPages,
-            "speed": options.speed,
-            "$slide": $slide,
-            index,
-            "_setStyle": options._setStyle,
-            "_tweenTo": options._tweenTo,
-            "_tweenFromTo": options._tweenFromTo,
-            "_killTweens": options._killTweens
-        } );
-
-        if ( slide.index === options.startSlide ) {
-            currentSlide = slide;
-        }
-
-        slidesList.push( slide );
-    });
+    createSlides( options.startSlide );
 
     aClass( $slider, options.activeClass );
 
@@ -1156,10 +1652,22 @@ export function Slider( $slider, userOptions = {} ) {
  * @param {HTMLElement} [userOptions.$btNext]
  * @param {HTMLElement} [userOptions.$pagination]
  * @param {String} [userOptions.paginationItems]
+ * @param {Function} [userOptions.renderBullet] - ( { index, position } ) => String. If set, the bullets are generated in $pagination and regenerated when the number of pages changes.
  * @param {Number} [userOptions.autoslide] - In second
- * @param {Boolean} [userOptions.swipe=false]
+ * @param {Boolean} [userOptions.pauseOnHover=true] - Pause the autoslide when the pointer is over the slider
+ * @param {Boolean} [userOptions.pauseOnFocus=true] - Pause the autoslide when the focus is in the slider or on a control
+ * @param {Boolean} [userOptions.pauseWhenHidden=true] - Pause the autoslide when the tab is hidden or when the slider is off-screen
+ * @param {HTMLElement} [userOptions.$btAutoslide] - Button to start and stop the autoslide
+ * @param {Object} [userOptions.autoslideLabels] - Labels of $btAutoslide
+ * @param {String} [userOptions.autoslideLabels.play=Start automatic slide show]
+ * @param {String} [userOptions.autoslideLabels.stop=Stop automatic slide show]
+ * @param {Callback} [userOptions.onAutoslideProgress] - ( { progress, currentSlide } ) => {}. Called on each frame while the autoslide is running, progress goes from 0 to 1
+ * @param {Boolean} [userOptions.swipe=false] - Swipe left and right, or up and down in vertical mode
  * @param {Boolean} [userOptions.enableKeyboard=false]
  * @param {Object} [userOptions.gestureOptions] - See gesture module options
+ * @param {Slider|DragSlider} [userOptions.syncWith] - Thumbnails slider synchronized with the slider
+ * @param {Boolean} [userOptions.syncAsNavigation=false] - If true, the thumbnails slider only follows the slider and its own moves don't change the slide
+ * @param {String} [userOptions.syncActiveClass=is-active] - CSS class of the thumbnail of the current slide
  *
  * @see extra/modules/slider.md
  *
@@ -1170,21 +1678,40 @@ export function Slider( $slider, userOptions = {} ) {
  *      "$btNext": $nextButton,
  *      "$pagination": $pagination,
  *      "paginationItems": '.item',
+ *      "renderBullet": ( { position } ) => `<button class="item">${ position }</button>`,
  *      "autoslide": 10, // in second
+ *      "pauseOnHover": true,
+ *      "pauseOnFocus": true,
+ *      "pauseWhenHidden": true,
+ *      "$btAutoslide": $playPauseButton,
+ *      "onAutoslideProgress": ( { progress } ) => {},
  *      "swipe": false,
  *      "enableKeyboard": true,
- *      "gestureOptions": Object
+ *      "gestureOptions": Object,
+ *      "syncWith": thumbnailsSlider,
+ *      "syncAsNavigation": true,
+ *      "syncActiveClass": "is-active"
  *  }
  * );
 */
 export function SliderControls( slider, options ) {
     let autoslideTimeoutId,
+        autoslideFrameId,
+        autoslideDuration,
+        autoslideRemainingTime,
+        autoslideStartTime,
+        autoslidePauseReasons,
+        autoslideObserver,
+        isSyncing,
+        syncKeyboardControls,
         keyboardPreviousButton,
         keyboardNextButton,
         $bullets,
+        renderedBulletCount,
         paginationKeyboardControls,
         inSlideKeyboardControls,
-        isAutoslideEnabled;
+        isAutoslideEnabled,
+        isAutoslideSuspended;
 
     const SELF = this;
 
@@ -1203,10 +1730,19 @@ export function SliderControls( slider, options ) {
     } );
 
 
-    if ( options.$pagination && options.paginationItems ) {
-        $bullets = options.$pagination.querySelectorAll( options.paginationItems );
+    if ( options.syncWith ) {
+        options.syncActiveClass = options.syncActiveClass || 'is-active';
+    }
+
+    if ( options.autoslide ) {
+        options.autoslideLabels = extend( {
+            "play": "Start automatic slide show",
+            "stop": "Stop automatic slide show"
+        }, options.autoslideLabels );
     }
 
+    autoslidePauseReasons = {};
+
 
     /**
      * Go to the next slide or page
@@ -1282,7 +1818,8 @@ export function SliderControls( slider, options ) {
      * @instance
      */
     this.destroy = () => {
-        clearTimeout( autoslideTimeoutId );
+        stopAutoslide();
+        unbindAutoslidePause();
         slider.destroy();
 
         if ( options.$btPrev ) {
@@ -1316,6 +1853,24 @@ export function SliderControls( slider, options ) {
         if ( options.swipe ) {
             gestureOff( slider.$slider, '__sliderSwipe' );
         }
+
+        if ( options.syncWith ) {
+            off( slider, {
+                "eventsName": "before",
+                "callback": onSyncBefore
+            } );
+
+            off( options.syncWith, {
+                "eventsName": "before",
+                "callback": onSyncWithBefore
+            } );
+
+            gestureOff( options.syncWith.$slider, '__sliderSync' );
+
+            if ( syncKeyboardControls ) {
+                syncKeyboardControls.off();
+            }
+        }
     };
 
 
@@ -1329,6 +1884,7 @@ export function SliderControls( slider, options ) {
     this.startAutoslide = () => {
         if ( options.autoslide ) {
             isAutoslideEnabled = true;
+            updateAutoslideState();
             autoslideLoop();
         }
     };
@@ -1346,6 +1902,34 @@ export function SliderControls( slider, options ) {
     };
 
 
+    /**
+     * Is the autoslide started. It can be started but paused (hover, focus, hidden tab, off-screen)
+     *
+     * @memberof SliderControls
+     * @member {Boolean} isAutoslideEnabled
+     * @instance
+     */
+    Object.defineProperty( this, 'isAutoslideEnabled', {
+        "get": function() {
+            return !!isAutoslideEnabled;
+        }
+    } );
+
+
+    /**
+     * Is the autoslide temporarily paused (hover, focus, hidden tab, off-screen)
+     *
+     * @memberof SliderControls
+     * @member {Boolean} isAutoslidePaused
+     * @instance
+     */
+    Object.defineProperty( this, 'isAutoslidePaused', {
+        "get": function() {
+            return isAutoslidePaused();
+        }
+    } );
+
+
     function onPrev( e, $target ) {
         e.preventDefault();
 
@@ -1367,13 +1951,109 @@ export function SliderControls( slider, options ) {
     }
 
 
+    // Thumbnails of the synchronized slider. A DragSlider only has them after its initialization.
+    function getSyncItems() {
+        return ( typeof options.syncWith.goToItem === 'function' ? options.syncWith.$items : options.syncWith.$slides ) || [];
+    }
+
+
+    function getSyncItemIndex( $target ) {
+        return Array.prototype.findIndex.call( getSyncItems(), $item => $item.contains( $target ) );
+    }
+
+
+    function updateSyncActiveItem( index ) {
+        getSyncItems().forEach( ( $item, itemIndex ) => {
+            if ( itemIndex === index ) {
+                aClass( $item, options.syncActiveClass );
+                $item.setAttribute( 'aria-current', true );
+            }
+            else {
+                rClass( $item, options.syncActiveClass );
+                $item.removeAttribute( 'aria-current' );
+            }
+        } );
+    }
+
+
+    // Scroll the thumbnails to show the one of the target slide
+    function moveSyncSlider( index ) {
+        let syncSlide;
+
+        if ( typeof options.syncWith.goToItem === 'function' ) {
+            options.syncWith.goToItem( getSyncItems()[ index ] );
+            return Promise.resolve();
+        }
+
+        syncSlide = options.syncWith.getSlide( index );
+
+        if ( options.syncAsNavigation && syncSlide && syncSlide.isActive() ) {
+            return Promise.resolve();
+        }
+
+        return options.syncWith.moveTo( index );
+    }
+
+
+    function onSyncBefore( data ) {
+        let index = data.targetSlide.index;
+
+        updateSyncActiveItem( index );
+
+        if ( isSyncing ) {
+            return;
+        }
+
+        isSyncing = true;
+        moveSyncSlider( index ).then( () => {
+            isSyncing = false;
+        } );
+    }
+
+
+    // When the thumbnails slider moves by itself (swipe, its own controls, ...)
+    function onSyncWithBefore( data ) {
+        if ( isSyncing ) {
+            return;
+        }
+
+        isSyncing = true;
+        stopAutoslide();
+        slider.moveTo( data.targetSlide.index ).then( () => {
+            isSyncing = false;
+        } );
+    }
+
+
+    function onSyncItem( e ) {
+        let itemIndex = getSyncItemIndex( e.target );
+
+        if ( itemIndex < 0 ) {
+            return;
+        }
+
+        e.preventDefault();
+
+        stopAutoslide();
+        slider.moveTo( itemIndex );
+    }
+
+
     function stopAutoslide() {
-        clearTimeout( autoslideTimeoutId );
+        clearAutoslideTimer();
         isAutoslideEnabled = false;
+        updateAutoslideState();
     }
 
 
     function makeAutoslide() {
+        clearAutoslideTimer();
+
+        // The slider may have been disabled by a breakpoint
+        if ( !slider.getCurrentSlide() ) {
+            return;
+        }
+
         slider.next().then( () => {
             if ( isAutoslideEnabled ) {
                 autoslideLoop();
@@ -1385,28 +2065,374 @@ export function SliderControls( slider, options ) {
     function autoslideLoop() {
         let currentSlide = slider.getCurrentSlide();
 
+        clearAutoslideTimer();
+
+        // The slider may have been disabled by a breakpoint
+        if ( !currentSlide ) {
+            return;
+        }
+
+        autoslideDuration = ( currentSlide.delay || options.autoslide ) * 1000;
+        autoslideRemainingTime = autoslideDuration;
+
+        runAutoslideTimer();
+    }
+
+
+    function runAutoslideTimer() {
+        if ( !isAutoslideEnabled || isAutoslidePaused() || !autoslideRemainingTime ) {
+            return;
+        }
+
+        autoslideStartTime = Date.now();
+
+        autoslideTimeoutId = setTimeout( makeAutoslide, autoslideRemainingTime );
+
+        if ( options.onAutoslideProgress ) {
+            autoslideFrameId = window.requestAnimationFrame( autoslideProgress );
+        }
+    }
+
+
+    function clearAutoslideTimer() {
         clearTimeout( autoslideTimeoutId );
+        window.cancelAnimationFrame( autoslideFrameId );
+        autoslideTimeoutId = null;
+    }
 
-        autoslideTimeoutId = setTimeout(
-            makeAutoslide,
-            ( currentSlide.delay || options.autoslide ) * 1000
-        );
+
+    function getAutoslideElapsedTime() {
+        let remainingTime = autoslideRemainingTime;
+
+        if ( autoslideTimeoutId ) {
+            remainingTime -= Date.now() - autoslideStartTime;
+        }
+
+        return autoslideDuration - Math.max( 0, remainingTime );
+    }
+
+
+    function autoslideProgress() {
+        let currentSlide = slider.getCurrentSlide();
+
+        if ( !currentSlide ) {
+            return;
+        }
+
+        options.onAutoslideProgress( {
+            "progress": Math.min( 1, getAutoslideElapsedTime() / autoslideDuration ),
+            "currentSlide": currentSlide.getSlideProperties()
+        } );
+
+        autoslideFrameId = window.requestAnimationFrame( autoslideProgress );
+    }
+
+
+    function isAutoslidePaused() {
+        return Object.keys( autoslidePauseReasons ).some( reason => autoslidePauseReasons[ reason ] );
+    }
+
+
+    // Pause the autoslide while at least one reason is active, then resume it where it was
+    function setAutoslidePause( reason, isPaused ) {
+        let wasPaused = isAutoslidePaused();
+
+        autoslidePauseReasons[ reason ] = isPaused;
+
+        if ( wasPaused === isAutoslidePaused() ) {
+            return;
+        }
+
+        if ( isPaused && autoslideTimeoutId ) {
+            autoslideRemainingTime -= Date.now() - autoslideStartTime;
+            clearAutoslideTimer();
+        }
+        else if ( !isPaused ) {
+            runAutoslideTimer();
+        }
+    }
+
+
+    // A rotating slider must not be announced by screen readers
+    function updateAutoslideState() {
+        if ( !options.autoslide ) {
+            return;
+        }
+
+        slider.$list.setAttribute( 'aria-live', isAutoslideEnabled ? 'off' : 'polite' );
+
+        if ( options.$btAutoslide ) {
+            options.$btAutoslide.setAttribute(
+                'aria-label',
+                isAutoslideEnabled ? options.autoslideLabels.stop : options.autoslideLabels.play
+            );
+        }
+    }
+
+
+    function onAutoslideButton( e ) {
+        e.preventDefault();
+
+        if ( isAutoslideEnabled ) {
+            stopAutoslide();
+            return;
+        }
+
+        SELF.startAutoslide();
+    }
+
+
+    function onMouseEnter() {
+        setAutoslidePause( 'hover', true );
+    }
+
+
+    function onMouseLeave() {
+        setAutoslidePause( 'hover', false );
+    }
+
+
+    function isAutoslideButton( $element ) {
+        return options.$btAutoslide && options.$btAutoslide.contains( $element );
+    }
+
+
+    // The play / pause button doesn't pause the autoslide, to let the user start it
+    function onFocusIn( e ) {
+        setAutoslidePause( 'focus', !isAutoslideButton( e.target ) );
+    }
+
+
+    function onFocusOut( e ) {
+        if ( e.relatedTarget && getFocusElements().some( $element => $element.contains( e.relatedTarget ) ) ) {
+            return;
+        }
+
+        setAutoslidePause( 'focus', false );
+    }
+
+
+    function onVisibilityChange() {
+        setAutoslidePause( 'hidden', document.visibilityState === 'hidden' );
+    }
+
+
+    function onIntersecting( $target, entry ) {
+        setAutoslidePause( 'offscreen', !entry.isIntersecting );
+    }
+
+
+    function getFocusElements() {
+        return [
+            slider.$slider,
+            options.$btPrev,
+            options.$btNext,
+            options.$pagination
+        ].filter( $element => $element );
+    }
+
+
+    function bindAutoslidePause() {
+        if ( options.pauseOnHover !== false ) {
+            on( slider.$slider, {
+                "eventsName": "mouseenter",
+                "callback": onMouseEnter
+            } );
+
+            on( slider.$slider, {
+                "eventsName": "mouseleave",
+                "callback": onMouseLeave
+            } );
+        }
+
+        if ( options.pauseOnFocus !== false ) {
+            getFocusElements().forEach( $element => {
+                on( $element, {
+                    "eventsName": "focusin",
+                    "callback": onFocusIn
+                } );
+
+                on( $element, {
+                    "eventsName": "focusout",
+                    "callback": onFocusOut
+                } );
+            } );
+        }
+
+        if ( options.pauseWhenHidden !== false ) {
+            on( document, {
+                "eventsName": "visibilitychange",
+                "callback": onVisibilityChange
+            } );
+
+            onVisibilityChange();
+
+            if ( 'IntersectionObserver' in window ) {
+                autoslideObserver = new IntersectObserver( {
+                    "onIntersecting": onIntersecting
+                } );
+
+                autoslideObserver.add( slider.$slider );
+            }
+        }
+
+        if ( options.$btAutoslide ) {
+            gesture( options.$btAutoslide, '__sliderBtAutoslide', {
+                "tap": onAutoslideButton
+            } );
+        }
+    }
+
+
+    function unbindAutoslidePause() {
+        if ( !options.autoslide ) {
+            return;
+        }
+
+        if ( options.pauseOnHover !== false ) {
+            off( slider.$slider, {
+                "eventsName": "mouseenter",
+                "callback": onMouseEnter
+            } );
+
+            off( slider.$slider, {
+                "eventsName": "mouseleave",
+                "callback": onMouseLeave
+            } );
+        }
+
+        if ( options.pauseOnFocus !== false ) {
+            getFocusElements().forEach( $element => {
+                off( $element, {
+                    "eventsName": "focusin",
+                    "callback": onFocusIn
+                } );
+
+                off( $element, {
+                    "eventsName": "focusout",
+                    "callback": onFocusOut
+                } );
+            } );
+        }
+
+        if ( options.pauseWhenHidden !== false ) {
+            off( document, {
+                "eventsName": "visibilitychange",
+                "callback": onVisibilityChange
+            } );
+        }
+
+        if ( autoslideObserver ) {
+            autoslideObserver.remove( slider.$slider );
+        }
+
+        if ( options.$btAutoslide ) {
+            gestureOff( options.$btAutoslide, '__sliderBtAutoslide' );
+        }
+    }
+
+
+    // With moveByPage, there is one bullet by page
+    function getBulletIndex( slide ) {
+        return slider.bulletCount === slider.slideCount ? slide.index : slide.pageIndex;
+    }
+
+
+    function initBullets() {
+        if ( !options.$pagination || !options.paginationItems ) {
+            return;
+        }
+
+        if ( options.renderBullet ) {
+            let html = [];
+
+            renderedBulletCount = slider.isEnabled() ? slider.bulletCount : 0;
+
+            for ( let i = 0; i < renderedBulletCount; ++i ) {
+                html.push( options.renderBullet( {
+                    "index": i,
+                    "position": i + 1
+                } ) );
+            }
+
+            options.$pagination.innerHTML = html.join( '' );
+        }
+
+        $bullets = options.$pagination.querySelectorAll( options.paginationItems );
+
+        $bullets.forEach( ( $bullet, index ) => {
+            let matchSlide = slider.getSlide( index );
+
+            $bullet.setAttribute( 'role', 'tab' );
+            $bullet.setAttribute( 'aria-selected', false );
+            $bullet.setAttribute( 'tabindex', -1 );
+
+            if ( matchSlide ) {
+                $bullet.setAttribute( 'aria-controls', matchSlide.id );
+            }
+        } );
+    }
+
+
+    // Stop the autoslide timer while a breakpoint disables the slider, and restart it when the slider is enabled again
+    function updateAutoslideSuspension( isDisabled ) {
+        if ( isDisabled ) {
+            isAutoslideSuspended = true;
+            clearAutoslideTimer();
+            return;
+        }
+
+        if ( !isAutoslideSuspended ) {
+            return;
+        }
+
+        isAutoslideSuspended = false;
+
+        if ( isAutoslideEnabled ) {
+            autoslideLoop();
+        }
+    }
+
+
+    function onSliderUpdate( data ) {
+        updateAutoslideSuspension( !data.currentSlide );
+
+        if ( options.renderBullet && renderedBulletCount !== ( slider.isEnabled() ? slider.bulletCount : 0 ) ) {
+            initBullets();
+        }
+        else if ( $bullets ) {
+            $bullets.forEach( $bullet => {
+                $bullet.setAttribute( 'aria-selected', false );
+                $bullet.setAttribute( 'tabindex', -1 );
+            } );
+        }
+
+        if ( data.currentSlide ) {
+            updateBullets( data.currentSlide );
+        }
     }
 
 
     function updateBullets( targetSlide, currentSlide ) {
+        let $currentBullet, $targetBullet;
+
         if ( !$bullets ) {
             return;
         }
 
-        if ( currentSlide && $bullets[ currentSlide.index ] ) {
-            $bullets[ currentSlide.index ].setAttribute( 'aria-selected', false );
-            $bullets[ currentSlide.index ].setAttribute( 'tabindex', -1 );
+        $currentBullet = currentSlide && $bullets[ getBulletIndex( currentSlide ) ];
+        $targetBullet = targetSlide && $bullets[ getBulletIndex( targetSlide ) ];
+
+        if ( $currentBullet ) {
+            $currentBullet.setAttribute( 'aria-selected', false );
+            $currentBullet.setAttribute( 'tabindex', -1 );
         }
 
-        if ( targetSlide && $bullets[ targetSlide.index ] ) {
-            $bullets[ targetSlide.index ].setAttribute( 'aria-selected', true );
-            $bullets[ targetSlide.index ].setAttribute( 'tabindex', 0 );
+        if ( $targetBullet ) {
+            $targetBullet.setAttribute( 'aria-selected', true );
+            $targetBullet.setAttribute( 'tabindex', 0 );
+            // In virtual mode, the slide may not have been rendered when the pagination was initialized
+            $targetBullet.setAttribute( 'aria-controls', targetSlide.id );
         }
     }
 
@@ -1414,8 +2440,8 @@ export function SliderControls( slider, options ) {
     function updateBulletsFocus( data ) {
         let currentSlide = data ? data.targetSlide : slider.getCurrentSlide();
 
-        if ( $bullets && $bullets[ currentSlide.index ] ) {
-            $bullets[ currentSlide.index ].focus();
+        if ( $bullets && $bullets[ getBulletIndex( currentSlide ) ] ) {
+            $bullets[ getBulletIndex( currentSlide ) ].focus();
         }
         else if (
             options.$pagination &&
@@ -1443,20 +2469,16 @@ export function SliderControls( slider, options ) {
         }
     } );
 
+    on( slider, {
+        "eventsName": "update",
+        "callback": onSliderUpdate
+    } );
+
     if ( options.$pagination ) {
         options.$pagination.setAttribute( 'role', 'tablist' );
     }
 
-    if ( $bullets ) {
-        $bullets.forEach( ( $bullet, index ) => {
-            let matchSlide = slider.getSlide( index );
-
-            $bullet.setAttribute( 'role', 'tab' );
-            $bullet.setAttribute( 'aria-selected', false );
-            $bullet.setAttribute( 'tabindex', -1 );
-            $bullet.setAttribute( 'aria-controls', matchSlide.id );
-        } );
-    }
+    initBullets();
 
     // ------------------- BIND GESTURES
 
@@ -1480,12 +2502,16 @@ export function SliderControls( slider, options ) {
     }
 
     if ( options.swipe ) {
+        // Swipes on the axis of the slides
+        const SWIPE_NEXT     = slider.mode === MODE_VERTICAL ? 'swipeUp' : 'swipeLeft';
+        const SWIPE_PREVIOUS = slider.mode === MODE_VERTICAL ? 'swipeDown' : 'swipeRight';
+
         let gestureOptions = {
             "preventStart": true,
-            "swipeLeft": () => {
+            [ SWIPE_NEXT ]: () => {
                 SELF.next();
             },
-            "swipeRight": () => {
+            [ SWIPE_PREVIOUS ]: () => {
                 SELF.previous();
             }
         };
@@ -1496,28 +2522,28 @@ export function SliderControls( slider, options ) {
                 options.gestureOptions
             );
 
-            if ( options.gestureOptions.swipeLeft ) {
+            if ( options.gestureOptions[ SWIPE_NEXT ] ) {
                 gestureOptions = extend(
                     gestureOptions,
                     {
-                        "swipeLeft": ( ...args ) => {
+                        [ SWIPE_NEXT ]: ( ...args ) => {
                             SELF.next();
-                            if ( options.gestureOptions.swipeLeft ) {
-                                options.gestureOptions.swipeLeft.call( this, ...args );
+                            if ( options.gestureOptions[ SWIPE_NEXT ] ) {
+                                options.gestureOptions[ SWIPE_NEXT ].call( this, ...args );
                             }
                         }
                     }
                 );
             }
 
-            if ( options.gestureOptions.swipeRight ) {
+            if ( options.gestureOptions[ SWIPE_PREVIOUS ] ) {
                 gestureOptions = extend(
                     gestureOptions,
                     {
-                        "swipeRight": ( ...args ) => {
+                        [ SWIPE_PREVIOUS ]: ( ...args ) => {
                             SELF.previous();
-                            if ( options.gestureOptions.swipeRight ) {
-                                options.gestureOptions.swipeRight.call( this, ...args );
+                            if ( options.gestureOptions[ SWIPE_PREVIOUS ] ) {
+                                options.gestureOptions[ SWIPE_PREVIOUS ].call( this, ...args );
                             }
                         }
                     }
@@ -1528,6 +2554,32 @@ export function SliderControls( slider, options ) {
         gesture( slider.$slider, '__sliderSwipe', gestureOptions );
     }
 
+    if ( options.syncWith ) {
+        gesture( options.syncWith.$slider, '__sliderSync', {
+            "tap": onSyncItem
+        } );
+
+        on( slider, {
+            "eventsName": "before",
+            "callback": onSyncBefore
+        } );
+
+        on( slider, {
+            "eventsName": "start",
+            "callback": data => {
+                updateSyncActiveItem( data.currentSlide.index );
+            }
+        } );
+
+        // A DragSlider doesn't fire events, it can only be used as navigation
+        if ( !options.syncAsNavigation && typeof options.syncWith.goToItem !== 'function' ) {
+            on( options.syncWith, {
+                "eventsName": "before",
+                "callback": onSyncWithBefore
+            } );
+        }
+    }
+
     // ------------------- BIND KEYBOARD
 
     if ( options.enableKeyboard ) {
@@ -1604,9 +2656,25 @@ export function SliderControls( slider, options ) {
                 }
             );
         }
+
+        // SPACE and ENTER on thumbnails
+
+        if ( options.syncWith ) {
+            syncKeyboardControls = new KeyboardHandler(
+                options.syncWith.$slider,
+                {
+                    "preventDefault": false,
+                    "onSelect": onSyncItem
+                }
+            );
+        }
     }
 
     // ------------------- START AUTOSLIDE
 
+    if ( options.autoslide ) {
+        bindAutoslidePause();
+    }
+
     this.startAutoslide();
 }
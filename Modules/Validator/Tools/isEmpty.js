@@ -5,12 +5,20 @@ const emptyRe                             = /(^$)|(^[\s]*$)/i;
  *
  * @function isEmpty
  *
- * @param {String} value
+ * @param {String|String[]|null} value - Array for select multiple, null if nothing is selected
  *
  * @see extra/modules/validator.md for details
  *
  * @returns {Boolean}
  */
 export default function isEmpty( value ) {
+    if ( value === null || typeof value === 'undefined' ) {
+        return true;
+    }
+
+    if ( Array.isArray( value ) ) {
+        return !value.length;
+    }
+
     return emptyRe.test( value );
 }
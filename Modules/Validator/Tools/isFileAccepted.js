@@ -0,0 +1,33 @@
+/**
+ * Test if a file matches the accept attribute of an input file: extensions (.pdf), MIME types (application/pdf) or wildcards (image/*)
+ *
+ * @function isFileAccepted
+ *
+ * @param {File} file
+ * @param {String} accept - Comma separated list, like in the accept attribute. Empty to accept all files
+ *
+ * @see extra/modules/validator.md for details
+ *
+ * @returns {Boolean}
+ */
+export default function isFileAccepted( file, accept ) {
+    const TYPES = ( accept || '' ).split( ',' ).map( type => type.trim().toLowerCase() ).filter( type => type );
+    const NAME  = file.name.toLowerCase();
+    const MIME  = ( file.type || '' ).toLowerCase();
+
+    if ( !TYPES.length ) {
+        return true;
+    }
+
+    return TYPES.some( type => {
+        if ( type[ 0 ] === '.' ) {
+            return NAME.endsWith( type );
+        }
+
+        if ( type.endsWith( '/*' ) ) {
+            return MIME.startsWith( type.slice( 0, -1 ) );
+        }
+
+        return MIME === type;
+    } );
+}
@@ -0,0 +1,19 @@
+import { standardValidation } from '@creative-web-solution/front-library/Modules/Validator/Tools/ValidationState';
+import isFileAccepted from '@creative-web-solution/front-library/Modules/Validator/Tools/isFileAccepted';
+import { addValidator } from '@creative-web-solution/front-library/Modules/Validator';
+
+/**
+ * File type validation, with the accept attribute
+ */
+addValidator( 'accept', 'input[type="file"][accept]', ( $input, value, isLiveValidation ) => {
+    const ACCEPT = $input.getAttribute( 'accept' );
+
+    return standardValidation(
+        $input,
+        value,
+        Array.from( $input.files || [] ).every( file => isFileAccepted( file, ACCEPT ) ),
+        'accept',
+        undefined,
+        isLiveValidation
+    );
+} );
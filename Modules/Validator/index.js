@@ -169,6 +169,7 @@ function Input( $input, options ) {
         _hasValidator,
         validatorsInErrors,
         inlineCustomErrorMessages,
+        serverErrorMessages,
         liveHookFunctionHash;
 
     const SELF = this;
@@ -202,6 +203,7 @@ function Input( $input, options ) {
 
     _hasValidator = validators.length > 0;
     inlineCustomErrorMessages = {};
+    serverErrorMessages = [];
 
     if ( $input.hasAttribute( options.customErrorLabelPrefix ) ) {
         inlineCustomErrorMessages[ 'default' ] =
@@ -271,6 +273,7 @@ function Input( $input, options ) {
         let promArray;
 
         validatorsInErrors = null;
+        serverErrorMessages = [];
         SELF.hasError = false;
         SELF.isLiveValidation = isLiveValidation;
 
@@ -302,6 +305,17 @@ function Input( $input, options ) {
     this.getErrors = () => {
         validatorsInErrors = [];
 
+        // Error sent by the server, after the submission of the form
+        if ( serverErrorMessages.length ) {
+            validatorsInErrors.push( {
+                $input,
+                "name": "server",
+                "isValid": () => false,
+                "getData": () => null,
+                "extraErrorMessages": serverErrorMessages
+            } );
+        }
+
         // No validator => Field is valid
         if ( !_hasValidator ) {
             return validatorsInErrors;
@@ -381,6 +395,19 @@ function Input( $input, options ) {
         const messages = [];
 
         validatorsInErrors.forEach( validator => {
+            // SERVER MESSAGE (can be a label or the message itself)
+            if ( validator.name === 'server' ) {
+                validator.extraErrorMessages.forEach( serverErrorMessage => {
+                    messages.push( {
+                        "message": labelToMessage( serverErrorMessage, _locale, true ),
+                        "label": validator.name,
+                        "type": "server"
+                    } );
+                } );
+
+                return;
+            }
+
             // BASIC MESSAGE (determined from validator name)
             messages.push( {
                 "message": labelToMessage( validator.name, _locale ),
@@ -415,6 +442,16 @@ function Input( $input, options ) {
     }
 
 
+    /*
+     * Set the errors sent by the server. They are removed at the next validation.
+     */
+    this.setServerErrors = messages => {
+        serverErrorMessages = [].concat( messages );
+        validatorsInErrors = null;
+        SELF.hasError = SELF.hasError || serverErrorMessages.length > 0;
+    }
+
+
     this.getData = () => {
         let dataArray;
 
@@ -496,6 +533,7 @@ function Input( $input, options ) {
  * @property {Function} getErrors
  * @property {Boolean} hasError
  * @property {Function} isValid
+ * @property {Function} setServerErrors
  * @property {Boolean} isLiveValidation
  */
 /**
@@ -785,6 +823,42 @@ export function Validator( $form, userOptions = {} ) {
     }
 
 
+    /**
+     * Set errors sent by the server on the fields and call the onInvalidate callback
+     *
+     * @function setServerErrors
+     * @memberof Validator
+     * @instance
+     * @param {Object} errors - Error messages (or labels of errorMessages) by field name: { "email": "Email already used" } or { "email": [ "...", "..." ] }
+     *
+     * @return {Object} - Same object as the parameter of the onInvalidate callback
+     */
+    this.setServerErrors = errors => {
+        let retObject = {
+            "inputs": inputsList,
+            "errors": [],
+            $form
+        };
+
+        Object.keys( errors ).forEach( name => {
+            let input = inputsList.find( _input => _input.$input.name === name );
+
+            if ( !input ) {
+                return;
+            }
+
+            input.setServerErrors( errors[ name ] );
+            retObject.errors.push( input );
+        } );
+
+        if ( retObject.errors.length && options.onInvalidate ) {
+            options.onInvalidate( retObject );
+        }
+
+        return retObject;
+    }
+
+
     /**
      * Get all handled fields (DOM elements)
      *
@@ -0,0 +1,16 @@
+import { standardValidation } from '@creative-web-solution/front-library/Modules/Validator/Tools/ValidationState';
+import { addValidator } from '@creative-web-solution/front-library/Modules/Validator';
+
+/**
+ * Max number of files validation
+ */
+addValidator( 'maxcount', 'input[type="file"][data-max-count]', ( $input, value, isLiveValidation ) => {
+    return standardValidation(
+        $input,
+        value,
+        !$input.files || $input.files.length <= Number( $input.getAttribute( 'data-max-count' ) ),
+        'maxcount',
+        undefined,
+        isLiveValidation
+    );
+} );
@@ -0,0 +1,18 @@
+import { standardValidation } from '@creative-web-solution/front-library/Modules/Validator/Tools/ValidationState';
+import { addValidator } from '@creative-web-solution/front-library/Modules/Validator';
+
+/**
+ * Max file size validation, in bytes
+ */
+addValidator( 'maxsize', 'input[type="file"][data-max-size]', ( $input, value, isLiveValidation ) => {
+    const MAX_SIZE = Number( $input.getAttribute( 'data-max-size' ) );
+
+    return standardValidation(
+        $input,
+        value,
+        Array.from( $input.files || [] ).every( file => file.size <= MAX_SIZE ),
+        'maxsize',
+        undefined,
+        isLiveValidation
+    );
+} );